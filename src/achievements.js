@@ -0,0 +1,103 @@
+// ============== ACHIEVEMENTS ==============
+// Awards unlocked from the engine's step events. Each achievement watches
+// one counter, either for the current run or summed over every run, and
+// unlocks once it reaches its goal. Unlocks and lifetime totals are saved.
+
+import { loadVersioned, saveVersioned } from './storage.js';
+
+const STORAGE_KEY = 'jumpy-frog.achievements';
+export const ACHIEVEMENTS_VERSION = 1;
+
+// icon: award region in Rankings.pack
+// stat: counter to watch; scope: 'run' (single run) or 'total' (all runs)
+export const ACHIEVEMENTS = [
+  { id: 'novice-jumper', name: 'Novice Jumper', description: 'Climb 500 m in one run', icon: 'novice-jumper-award-icon', stat: 'altitude', scope: 'run', goal: 500 },
+  { id: 'super-jumper', name: 'Super Jumper', description: 'Climb 2,000 m in one run', icon: 'super-jumper-award-icon', stat: 'altitude', scope: 'run', goal: 2000 },
+  { id: 'insane-jumper', name: 'Super Duper Insane Jumper', description: 'Climb 5,000 m in one run', icon: 'super-duper-insane-jumper-award-icon', stat: 'altitude', scope: 'run', goal: 5000 },
+  { id: 'skills-player', name: 'Skills Player', description: 'Reach level 3', icon: 'skills-player-icon', stat: 'level', scope: 'run', goal: 3 },
+  { id: 'pro-skills-player', name: 'Pro Skills Player', description: 'Reach level 6', icon: 'pro-skills-player-icon', stat: 'level', scope: 'run', goal: 6 },
+  { id: 'extreme-pro-skills-player', name: 'Extreme Pro Skills Player', description: 'Reach level 10', icon: 'extreme-pro-skills-player-icon', stat: 'level', scope: 'run', goal: 10 },
+  { id: 'junior-berry-collector', name: 'Junior Berry Collector', description: 'Collect 25 gems in one run', icon: 'junior-berry-collector-icon', stat: 'gems', scope: 'run', goal: 25 },
+  { id: 'super-berry-collector', name: 'Super Berry Collector', description: 'Collect 100 gems in one run', icon: 'super-berry-collector-icon', stat: 'gems', scope: 'run', goal: 100 },
+  { id: 'extreme-berry-collector', name: 'Extreme Berry Collector', description: 'Collect 250 gems in one run', icon: 'extreme-berry-collector-icon', stat: 'gems', scope: 'run', goal: 250 },
+  { id: 'star-collector', name: 'Star Collector', description: 'Collect 10 purple gems in one run', icon: 'star-coins-collector-award-icon', stat: 'purpleGems', scope: 'run', goal: 10 },
+  { id: 'berrylionare', name: 'Berrylionare', description: 'Collect 1,000 gems in total', icon: 'berrylionare-icon', stat: 'gems', scope: 'total', goal: 1000 },
+  { id: 'monster-smasher', name: 'Monster Smasher', description: 'Defeat 10 enemies in total', icon: 'monster-smasher-icon', stat: 'kills', scope: 'total', goal: 10 },
+  { id: 'pro-monster-smasher', name: 'Pro Monster Smasher', description: 'Defeat 50 enemies in total', icon: 'pro-monster-smasher-icon', stat: 'kills', scope: 'total', goal: 50 },
+  { id: 'extreme-monster-smasher', name: 'Extreme Monster Smasher', description: 'Defeat 200 enemies in total', icon: 'extreme-monster-smasher-icon', stat: 'kills', scope: 'total', goal: 200 },
+  { id: 'dandelion-smasher', name: 'Dandelion Smasher', description: 'Bounce-kill 5 enemies with Sumo in one run', icon: 'dandelion-smasher-award-icon', stat: 'sumoKills', scope: 'run', goal: 5 },
+  { id: 'stamina', name: 'Stamina', description: 'Play 10 runs', icon: 'stamina-award-icon', stat: 'runs', scope: 'total', goal: 10 },
+  { id: 'focused-stamina', name: 'Focused Stamina', description: 'Play 50 runs', icon: 'focused-stamina-award-icon', stat: 'runs', scope: 'total', goal: 50 }
+];
+
+const createCounters = () => ({ altitude: 0, level: 1, gems: 0, purpleGems: 0, kills: 0, sumoKills: 0, runs: 0 });
+
+// ============== PERSISTENCE ==============
+
+export const saveAchievements = (progress) => saveVersioned(STORAGE_KEY, ACHIEVEMENTS_VERSION, {
+  unlocked: progress.unlocked,
+  totals: progress.totals
+});
+
+// ============== PROGRESS ==============
+
+// unlocked: achievement id -> ISO date of the unlock
+export const loadAchievements = () => {
+  const saved = loadVersioned(STORAGE_KEY, ACHIEVEMENTS_VERSION);
+  return {
+    unlocked: saved?.unlocked ?? {},
+    totals: { ...createCounters(), ...saved?.totals },
+    run: createCounters()
+  };
+};
+
+export const startAchievementRun = (progress) => {
+  progress.run = createCounters();
+};
+
+export const isUnlocked = (progress, achievement) => achievement.id in progress.unlocked;
+
+export const getAchievementValue = (progress, achievement) => (
+  (achievement.scope === 'total' ? progress.totals : progress.run)[achievement.stat]
+);
+
+// Add to a counter in both the run and the lifetime totals
+const count = (progress, stat, amount = 1) => {
+  progress.run[stat] += amount;
+  progress.totals[stat] += amount;
+};
+
+const applyEvent = (progress, event) => {
+  switch (event.type) {
+    case 'altitude':
+      progress.run.altitude = event.altitude;
+      break;
+    case 'level':
+      progress.run.level = event.level;
+      break;
+    case 'gem':
+      count(progress, 'gems');
+      if (event.gem === 'purple') count(progress, 'purpleGems');
+      break;
+    case 'kill':
+      count(progress, 'kills');
+      if (event.by === 'sumo') count(progress, 'sumoKills');
+      break;
+    case 'gameover':
+      count(progress, 'runs');
+      break;
+  }
+};
+
+// Feed one step's engine events. Returns the achievements unlocked by them
+// (usually none); progress is saved when something unlocks or a run ends.
+export const applyAchievementEvents = (progress, events, date = new Date()) => {
+  if (events.length === 0) return [];
+  for (const event of events) applyEvent(progress, event);
+
+  const unlocked = ACHIEVEMENTS.filter(a => !isUnlocked(progress, a) && getAchievementValue(progress, a) >= a.goal);
+  for (const achievement of unlocked) progress.unlocked[achievement.id] = date.toISOString();
+
+  if (unlocked.length > 0 || events.some(e => e.type === 'gameover')) saveAchievements(progress);
+  return unlocked;
+};
@@ -0,0 +1,70 @@
+// ============== SPRITE ANIMATION ==============
+// Frame animations built from atlas regions. Regions that share a name are
+// ordered by their index; numbered sequences such as sky1.1-sequence …
+// sky1.9-sequence are collected with a {n} name template.
+
+import { findRegions } from './atlas.js';
+
+export const ANIMATION_LOOP = 'loop';
+export const ANIMATION_PING_PONG = 'pingpong';
+export const ANIMATION_ONCE = 'once';
+
+export const createAnimation = (frames, fps, mode = ANIMATION_LOOP) => ({ frames, fps, mode });
+
+// Frame index for a time in seconds since the animation started
+export const getFrameIndex = (animation, time) => {
+  const count = animation.frames.length;
+  if (count <= 1) return 0;
+  const step = Math.max(0, Math.floor(time * animation.fps));
+
+  switch (animation.mode) {
+    case ANIMATION_ONCE:
+      return Math.min(step, count - 1);
+    case ANIMATION_PING_PONG: {
+      const period = count * 2 - 2;
+      const phase = step % period;
+      return phase < count ? phase : period - phase;
+    }
+    default:
+      return step % count;
+  }
+};
+
+export const getKeyFrame = (animation, time) => (
+  animation ? animation.frames[getFrameIndex(animation, time)] : null
+);
+
+export const getAnimationDuration = (animation) => animation.frames.length / animation.fps;
+
+export const isAnimationFinished = (animation, time) => (
+  animation.mode === ANIMATION_ONCE && time >= getAnimationDuration(animation)
+);
+
+// Collect sky1.{n}-sequence style regions, starting at 1 and stopping at the
+// first missing number
+const findSequenceRegions = (atlas, template) => {
+  const frames = [];
+  for (let n = 1; ; n++) {
+    const [region] = findRegions(atlas, template.replace('{n}', n));
+    if (!region) return frames;
+    frames.push(region);
+  }
+};
+
+// Animations are cached per atlas so draw code can look them up every frame
+const animationCache = new WeakMap();
+
+// Build (or reuse) an animation from atlas regions. Returns null when the
+// atlas is not loaded or has no matching regions.
+export const getAtlasAnimation = (atlas, name, fps, mode = ANIMATION_LOOP) => {
+  if (!atlas) return null;
+  if (!animationCache.has(atlas)) animationCache.set(atlas, new Map());
+  const cache = animationCache.get(atlas);
+  const key = `${name}|${fps}|${mode}`;
+
+  if (!cache.has(key)) {
+    const frames = name.includes('{n}') ? findSequenceRegions(atlas, name) : findRegions(atlas, name);
+    cache.set(key, frames.length > 0 ? createAnimation(frames, fps, mode) : null);
+  }
+  return cache.get(key);
+};
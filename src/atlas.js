@@ -0,0 +1,216 @@
+// ============== TEXTURE ATLAS ==============
+// Loader and renderer for the libGDX texture atlases shipped in public/*.pack.
+// An atlas file holds one or more pages (an image plus its regions); each
+// region describes where a sprite sits on the page and how it was trimmed.
+
+const ASSET_BASE = import.meta.env.BASE_URL;
+
+// Every atlas that ships in public/
+export const ATLAS_FILES = [
+  'jumpy.pack',
+  'platforms.pack',
+  'gameUi.pack',
+  'Clouds.pack',
+  'GP.pack',
+  'GB.pack',
+  'GO.pack',
+  'Rankings.pack',
+  'shop_jumpyAddons.pack',
+  '1_9.pack'
+];
+
+// ============== PARSING ==============
+
+const parsePair = (value) => value.split(',').map(v => Number(v.trim()));
+
+const applyRegionField = (region, key, value) => {
+  switch (key) {
+    case 'rotate':
+      region.rotate = value === 'true' || value === '90';
+      break;
+    case 'xy':
+      [region.x, region.y] = parsePair(value);
+      break;
+    case 'size':
+      [region.width, region.height] = parsePair(value);
+      break;
+    case 'orig':
+      [region.originalWidth, region.originalHeight] = parsePair(value);
+      break;
+    case 'offset':
+      [region.offsetX, region.offsetY] = parsePair(value);
+      break;
+    case 'index':
+      region.index = parseInt(value, 10);
+      break;
+  }
+};
+
+// Parse the .pack text format into pages, each with its list of regions
+export const parseAtlas = (text) => {
+  const pages = [];
+  let page = null;
+  let region = null;
+
+  const finishRegion = () => {
+    if (!region) return;
+    // Untrimmed regions may omit orig/offset
+    if (region.originalWidth === 0) region.originalWidth = region.width;
+    if (region.originalHeight === 0) region.originalHeight = region.height;
+    region = null;
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    // A blank line ends the current page
+    if (!line) {
+      finishRegion();
+      page = null;
+      continue;
+    }
+
+    if (!page) {
+      page = { file: line, format: 'RGBA8888', filter: 'Linear,Linear', repeat: 'none', image: null, regions: [] };
+      pages.push(page);
+      continue;
+    }
+
+    const sep = line.indexOf(':');
+    const indented = rawLine !== rawLine.trimStart();
+
+    if (indented && region && sep !== -1) {
+      applyRegionField(region, line.slice(0, sep).trim(), line.slice(sep + 1).trim());
+    } else if (!region && sep !== -1 && page.regions.length === 0) {
+      page[line.slice(0, sep).trim()] = line.slice(sep + 1).trim();
+    } else {
+      finishRegion();
+      region = {
+        name: line,
+        page,
+        index: -1,
+        rotate: false,
+        x: 0, y: 0,
+        width: 0, height: 0,
+        originalWidth: 0, originalHeight: 0,
+        offsetX: 0, offsetY: 0
+      };
+      page.regions.push(region);
+    }
+  }
+  finishRegion();
+
+  return pages;
+};
+
+// Group regions by name, sorted by index, for lookup at draw time
+export const createAtlas = (pages) => {
+  const regions = new Map();
+  for (const page of pages) {
+    for (const region of page.regions) {
+      if (!regions.has(region.name)) regions.set(region.name, []);
+      regions.get(region.name).push(region);
+    }
+  }
+  for (const list of regions.values()) {
+    list.sort((a, b) => a.index - b.index);
+  }
+  return { pages, regions };
+};
+
+// ============== LOADING ==============
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Failed to load atlas page ${src}`));
+  image.src = src;
+});
+
+// Load one .pack file and its page images. Pages whose image is missing are
+// dropped so their regions fall back to procedural drawing.
+export const loadAtlasPages = async (file) => {
+  const response = await fetch(ASSET_BASE + file);
+  if (!response.ok) throw new Error(`Failed to load atlas ${file}`);
+  const pages = parseAtlas(await response.text());
+
+  const results = await Promise.allSettled(pages.map(page => loadImage(ASSET_BASE + page.file)));
+  return pages.filter((page, i) => {
+    if (results[i].status !== 'fulfilled') return false;
+    page.image = results[i].value;
+    return true;
+  });
+};
+
+// Load several .pack files into one atlas; missing files are skipped
+export const loadAtlases = async (files = ATLAS_FILES) => {
+  const results = await Promise.allSettled(files.map(loadAtlasPages));
+  const pages = results.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+  return createAtlas(pages);
+};
+
+// ============== LOOKUP ==============
+
+// Find a region by name (and optionally index). Returns null when the atlas
+// is not loaded yet or the region does not exist, so callers can fall back.
+export const findRegion = (atlas, name, index = -1) => {
+  const list = atlas?.regions.get(name);
+  if (!list) return null;
+  if (index === -1) return list[0];
+  return list.find(region => region.index === index) || null;
+};
+
+// All regions sharing a name, ordered by index
+export const findRegions = (atlas, name) => atlas?.regions.get(name) || [];
+
+// ============== RENDERING ==============
+
+// Draw a region so its original (untrimmed) frame fills the given box.
+// Trim offsets are measured from the bottom-left corner, as libGDX does.
+export const drawRegion = (ctx, region, x, y, width, height, flipX = false) => {
+  const { page } = region;
+  const scaleX = width / region.originalWidth;
+  const scaleY = height / region.originalHeight;
+  const dx = region.offsetX * scaleX;
+  const dy = (region.originalHeight - region.offsetY - region.height) * scaleY;
+  const dw = region.width * scaleX;
+  const dh = region.height * scaleY;
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = !page.filter.startsWith('Nearest');
+  ctx.translate(flipX ? x + width : x, y);
+  if (flipX) ctx.scale(-1, 1);
+
+  if (region.rotate) {
+    // Rotated regions are packed 90° clockwise; undo that while drawing
+    ctx.translate(dx + dw / 2, dy + dh / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.drawImage(page.image, region.x, region.y, region.height, region.width, -dh / 2, -dw / 2, dh, dw);
+  } else {
+    ctx.drawImage(page.image, region.x, region.y, region.width, region.height, dx, dy, dw, dh);
+  }
+  ctx.restore();
+};
+
+// Draw a region scaled uniformly, anchored by its bottom-centre. Used for
+// characters whose frames share one original size but trim differently.
+export const drawRegionAnchored = (ctx, region, centerX, bottomY, scale, flipX = false) => {
+  const width = region.originalWidth * scale;
+  const height = region.originalHeight * scale;
+  drawRegion(ctx, region, centerX - width / 2, bottomY - height, width, height, flipX);
+};
+
+// Draw only the packed pixels of a region stretched over the given box,
+// ignoring the transparent trim. Used for tiles such as platforms.
+export const drawRegionFilled = (ctx, region, x, y, width, height, flipX = false) => {
+  const scaleX = width / region.width;
+  const scaleY = height / region.height;
+  drawRegion(
+    ctx, region,
+    x - region.offsetX * scaleX,
+    y - (region.originalHeight - region.offsetY - region.height) * scaleY,
+    region.originalWidth * scaleX,
+    region.originalHeight * scaleY,
+    flipX
+  );
+};
@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from 'react';
+import { findRegion, drawRegion } from './atlas.js';
+
+// Draws a single atlas region into a small canvas for use in the DOM menus.
+// Shows `fallback` until the atlas is loaded or when the region is missing.
+// width/height are CSS pixels; the backing store matches the display's
+// pixel density so icons stay sharp on high-DPI screens.
+export default function AtlasImage({ atlas, name, hoverName, width, height, fallback = null, className = '' }) {
+  const canvasRef = useRef(null);
+  const [hovered, setHovered] = useState(false);
+  const region = findRegion(atlas, hovered && hoverName ? hoverName : name);
+  const dpr = window.devicePixelRatio || 1;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !region) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawRegion(ctx, region, 0, 0, canvas.width, canvas.height);
+  }, [region, width, height, dpr]);
+
+  if (!region) return fallback;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={Math.round(width * dpr)}
+      height={Math.round(height * dpr)}
+      className={className}
+      style={{ width, height }}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+    />
+  );
+}
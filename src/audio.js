@@ -0,0 +1,322 @@
+// ============== AUDIO ==============
+// Procedural sound: every effect and the background music are synthesised
+// with Web Audio oscillators and filtered noise, so there are no sound files
+// to load. Sounds are tables of parts played together:
+//
+//   { wave, from, to, duration, volume, delay }    oscillator sweeping from -> to Hz
+//   { noise, cutoff, duration, volume, delay }     white noise through a filter
+//                                                  (noise: the BiquadFilter type)
+//
+// Effects and music go through their own gain buses into a master bus, so
+// the three volumes and mute are just gain values, saved between sessions.
+
+import { GEM_VALUES } from './engine.js';
+import { loadVersioned, saveVersioned } from './storage.js';
+
+const STORAGE_KEY = 'jumpy-frog.audio';
+export const AUDIO_VERSION = 1;
+
+const VOLUME_RAMP = 0.02; // seconds, so volume changes don't click
+const SILENCE = 0.0001; // exponential ramps can't reach 0
+
+const createAudioSettings = () => ({ master: 0.8, music: 0.5, sfx: 0.8, muted: false });
+
+const clampVolume = (value) => Math.min(1, Math.max(0, value));
+
+// ============== PERSISTENCE ==============
+
+export const loadAudioSettings = () => {
+  const defaults = createAudioSettings();
+  const data = loadVersioned(STORAGE_KEY, AUDIO_VERSION);
+  if (!data) return defaults;
+  const volume = (key) => (Number.isFinite(data[key]) ? clampVolume(data[key]) : defaults[key]);
+  return { master: volume('master'), music: volume('music'), sfx: volume('sfx'), muted: data.muted === true };
+};
+
+export const saveAudioSettings = (settings) => saveVersioned(STORAGE_KEY, AUDIO_VERSION, settings);
+
+// ============== SOUNDS ==============
+
+const JUMP_SOUND = [{ wave: 'square', from: 300, to: 620, duration: 0.1, volume: 0.12 }];
+
+const PLATFORM_SOUNDS = {
+  spring: [
+    { wave: 'sine', from: 160, to: 900, duration: 0.35, volume: 0.3 },
+    { wave: 'triangle', from: 320, to: 1100, duration: 0.25, volume: 0.12, delay: 0.04 }
+  ],
+  breakable: [
+    { noise: 'highpass', cutoff: 1800, duration: 0.12, volume: 0.35 },
+    { wave: 'square', from: 200, to: 60, duration: 0.15, volume: 0.12 }
+  ]
+};
+
+// One entry per power-up in POWER_CONFIG, played when it activates: on
+// pickup, out of the queue, or as a character's start power
+const POWERUP_SOUNDS = {
+  rocket: [
+    { noise: 'lowpass', cutoff: 900, duration: 0.6, volume: 0.3 },
+    { wave: 'sawtooth', from: 90, to: 420, duration: 0.6, volume: 0.12 }
+  ],
+  cape: [
+    { wave: 'triangle', from: 400, to: 800, duration: 0.3, volume: 0.2 },
+    { noise: 'bandpass', cutoff: 2500, duration: 0.3, volume: 0.1 }
+  ],
+  spring: [
+    { wave: 'sine', from: 200, to: 1200, duration: 0.3, volume: 0.3 },
+    { wave: 'sine', from: 600, to: 1600, duration: 0.2, volume: 0.12, delay: 0.1 }
+  ],
+  shield: [
+    { wave: 'sine', from: 523, duration: 0.4, volume: 0.2 },
+    { wave: 'sine', from: 784, duration: 0.4, volume: 0.15, delay: 0.05 },
+    { wave: 'triangle', from: 1047, duration: 0.35, volume: 0.1, delay: 0.1 }
+  ],
+  propeller: [
+    { wave: 'square', from: 120, to: 240, duration: 0.4, volume: 0.1 },
+    { noise: 'bandpass', cutoff: 600, duration: 0.4, volume: 0.2 }
+  ],
+  springShoes: [
+    { wave: 'triangle', from: 400, to: 900, duration: 0.1, volume: 0.2 },
+    { wave: 'triangle', from: 500, to: 1100, duration: 0.1, volume: 0.2, delay: 0.12 }
+  ],
+  magnet: [
+    { wave: 'sine', from: 220, to: 440, duration: 0.25, volume: 0.2 },
+    { wave: 'sine', from: 440, to: 220, duration: 0.25, volume: 0.2, delay: 0.25 }
+  ],
+  sumo: [
+    { wave: 'sawtooth', from: 60, to: 140, duration: 0.4, volume: 0.25 },
+    { noise: 'lowpass', cutoff: 300, duration: 0.3, volume: 0.3 }
+  ],
+  laser: [
+    { wave: 'square', from: 660, duration: 0.08, volume: 0.12 },
+    { wave: 'square', from: 880, duration: 0.08, volume: 0.12, delay: 0.08 },
+    { wave: 'sawtooth', from: 1320, to: 1760, duration: 0.15, volume: 0.1, delay: 0.16 }
+  ],
+  shotgun: [
+    { wave: 'square', from: 330, duration: 0.08, volume: 0.12 },
+    { wave: 'square', from: 440, duration: 0.08, volume: 0.12, delay: 0.08 },
+    { noise: 'lowpass', cutoff: 1500, duration: 0.15, volume: 0.25, delay: 0.16 }
+  ],
+  tommyGun: [
+    { wave: 'square', from: 440, duration: 0.06, volume: 0.12 },
+    { wave: 'square', from: 554, duration: 0.06, volume: 0.12, delay: 0.06 },
+    { wave: 'square', from: 659, duration: 0.06, volume: 0.12, delay: 0.12 },
+    { wave: 'square', from: 880, duration: 0.1, volume: 0.12, delay: 0.18 }
+  ]
+};
+
+// One entry per weapon in POWER_CONFIG (the powers with a cooldown), per shot
+const WEAPON_SOUNDS = {
+  laser: [{ wave: 'sawtooth', from: 1500, to: 300, duration: 0.12, volume: 0.1 }],
+  shotgun: [
+    { noise: 'lowpass', cutoff: 1200, duration: 0.25, volume: 0.45 },
+    { wave: 'square', from: 140, to: 50, duration: 0.15, volume: 0.15 }
+  ],
+  tommyGun: [
+    { noise: 'bandpass', cutoff: 2000, duration: 0.05, volume: 0.25 },
+    { wave: 'square', from: 220, to: 110, duration: 0.04, volume: 0.06 }
+  ]
+};
+
+const EVENT_SOUNDS = {
+  tongue: [{ wave: 'sine', from: 500, to: 180, duration: 0.1, volume: 0.2 }],
+  kill: [
+    { wave: 'square', from: 700, to: 100, duration: 0.2, volume: 0.12 },
+    { noise: 'lowpass', cutoff: 2000, duration: 0.12, volume: 0.25 }
+  ],
+  shield: [{ wave: 'triangle', from: 1400, to: 900, duration: 0.15, volume: 0.25 }],
+  shieldBroken: [
+    { noise: 'highpass', cutoff: 2500, duration: 0.3, volume: 0.3 },
+    { wave: 'sawtooth', from: 900, to: 150, duration: 0.3, volume: 0.12 }
+  ],
+  // A pickup that waits in the power-up queue
+  queued: [
+    { wave: 'triangle', from: 660, duration: 0.06, volume: 0.15 },
+    { wave: 'triangle', from: 990, duration: 0.08, volume: 0.15, delay: 0.06 }
+  ],
+  powerlost: [{ wave: 'square', from: 500, to: 140, duration: 0.3, volume: 0.12 }],
+  rescue: [
+    { wave: 'sine', from: 392, duration: 0.1, volume: 0.2 },
+    { wave: 'sine', from: 523, duration: 0.1, volume: 0.2, delay: 0.08 },
+    { wave: 'sine', from: 659, duration: 0.1, volume: 0.2, delay: 0.16 },
+    { wave: 'sine', from: 1047, duration: 0.25, volume: 0.2, delay: 0.24 }
+  ],
+  level: [
+    { wave: 'square', from: 523, duration: 0.1, volume: 0.1 },
+    { wave: 'square', from: 659, duration: 0.1, volume: 0.1, delay: 0.1 },
+    { wave: 'square', from: 784, duration: 0.1, volume: 0.1, delay: 0.2 },
+    { wave: 'square', from: 1047, duration: 0.3, volume: 0.1, delay: 0.3 }
+  ],
+  lifelost: [{ wave: 'triangle', from: 600, to: 150, duration: 0.5, volume: 0.25 }],
+  gameover: [
+    { wave: 'square', from: 523, duration: 0.2, volume: 0.12 },
+    { wave: 'square', from: 392, duration: 0.2, volume: 0.12, delay: 0.22 },
+    { wave: 'square', from: 330, duration: 0.2, volume: 0.12, delay: 0.44 },
+    { wave: 'triangle', from: 262, to: 131, duration: 0.8, volume: 0.2, delay: 0.66 }
+  ]
+};
+
+// Gem types from least to most valuable; each tier chimes a major third higher
+const GEM_TIERS = Object.keys(GEM_VALUES).sort((a, b) => GEM_VALUES[a] - GEM_VALUES[b]);
+const GEM_BASE_PITCH = 880;
+
+const getGemPitch = (gem) => GEM_BASE_PITCH * 2 ** (Math.max(0, GEM_TIERS.indexOf(gem)) * 4 / 12);
+
+const getGemSound = (gem) => {
+  const pitch = getGemPitch(gem);
+  return [
+    { wave: 'sine', from: pitch, duration: 0.08, volume: 0.2 },
+    { wave: 'sine', from: pitch * 1.5, duration: 0.15, volume: 0.2, delay: 0.06 }
+  ];
+};
+
+// Sound for an engine event (see update in engine.js), or null for silent ones
+const getEventSound = (event) => {
+  switch (event.type) {
+    case 'jump': return PLATFORM_SOUNDS[event.platform] ?? JUMP_SOUND;
+    case 'gem': return getGemSound(event.gem);
+    case 'powerup': return event.queued ? EVENT_SOUNDS.queued : null; // activate plays the rest
+    case 'activate': return POWERUP_SOUNDS[event.power] ?? null;
+    case 'shoot': return WEAPON_SOUNDS[event.weapon] ?? null;
+    case 'shield': return event.broken ? EVENT_SOUNDS.shieldBroken : EVENT_SOUNDS.shield;
+    default: return EVENT_SOUNDS[event.type] ?? null;
+  }
+};
+
+// ============== MUSIC ==============
+// A looping chiptune built from a chord progression: a bass line on the
+// roots, a sixteenth-note arpeggio over the chord tones, and hi-hats. The
+// scheduler queues notes a little ahead on the audio clock, so timing stays
+// steady however the timer fires.
+
+const MUSIC_TEMPO = 132; // beats per minute
+const MUSIC_STEP = 60 / MUSIC_TEMPO / 4; // seconds per sixteenth note
+const STEPS_PER_BAR = 16;
+const MUSIC_LOOKAHEAD = 0.12; // seconds of music queued ahead
+const MUSIC_TICK_MS = 25;
+
+// Semitones from A3 (220 Hz): C, G, Am, F
+const MUSIC_CHORDS = [[3, 7, 10], [-2, 2, 5], [0, 3, 7], [-4, 0, 3]];
+const ARPEGGIO = [0, 1, 2, 1, 2, 0, 1, 2];
+
+const noteFrequency = (semitones) => 220 * 2 ** (semitones / 12);
+
+const getMusicNotes = (step) => {
+  const chord = MUSIC_CHORDS[Math.floor(step / STEPS_PER_BAR) % MUSIC_CHORDS.length];
+  const beat = step % STEPS_PER_BAR;
+  const notes = [];
+  if (beat % 4 === 0) {
+    notes.push({ wave: 'triangle', from: noteFrequency(chord[0] - 24), duration: MUSIC_STEP * 3, volume: 0.35 });
+  }
+  if (beat % 2 === 0) {
+    const octave = beat >= 8 ? 12 : 0;
+    notes.push({ wave: 'square', from: noteFrequency(chord[ARPEGGIO[beat / 2]] + octave), duration: MUSIC_STEP, volume: 0.05 });
+  }
+  if (beat % 4 === 2) {
+    notes.push({ noise: 'highpass', cutoff: 7000, duration: 0.04, volume: 0.08 });
+  }
+  return notes;
+};
+
+// ============== PLAYBACK ==============
+
+// audio: { ctx, buses, noise, settings, music } — ctx stays null until
+// unlockAudio runs from a user gesture
+export const createAudio = (settings) => ({ ctx: null, buses: null, noise: null, settings, music: null });
+
+const isRunning = (audio) => audio.ctx?.state === 'running';
+
+export const applyAudioSettings = (audio, settings) => {
+  audio.settings = settings;
+  if (!audio.ctx) return;
+  const now = audio.ctx.currentTime;
+  audio.buses.master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, now, VOLUME_RAMP);
+  audio.buses.music.gain.setTargetAtTime(settings.music, now, VOLUME_RAMP);
+  audio.buses.sfx.gain.setTargetAtTime(settings.sfx, now, VOLUME_RAMP);
+};
+
+// Browsers only start audio from a user gesture, and some suspend it again
+// later (e.g. iOS after a call), so call this from every gesture
+export const unlockAudio = (audio) => {
+  if (!audio.ctx) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    const ctx = new AudioContext();
+    const buses = { master: ctx.createGain(), music: ctx.createGain(), sfx: ctx.createGain() };
+    buses.master.connect(ctx.destination);
+    buses.music.connect(buses.master);
+    buses.sfx.connect(buses.master);
+
+    // One second of white noise, shared by every noise part
+    const noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+    Object.assign(audio, { ctx, buses, noise });
+    applyAudioSettings(audio, audio.settings);
+  }
+  if (audio.ctx.state === 'suspended') audio.ctx.resume().catch(() => {});
+};
+
+const playPart = (audio, part, time, bus) => {
+  const { ctx } = audio;
+  const start = time + (part.delay ?? 0);
+  const end = start + part.duration;
+
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(part.volume, start);
+  gain.gain.exponentialRampToValueAtTime(SILENCE, end);
+  gain.connect(bus);
+
+  let source;
+  if (part.noise) {
+    source = ctx.createBufferSource();
+    source.buffer = audio.noise;
+    source.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = part.noise;
+    filter.frequency.value = part.cutoff;
+    source.connect(filter).connect(gain);
+  } else {
+    source = ctx.createOscillator();
+    source.type = part.wave;
+    source.frequency.setValueAtTime(part.from, start);
+    if (part.to && part.to !== part.from) source.frequency.exponentialRampToValueAtTime(part.to, end);
+    source.connect(gain);
+  }
+  source.start(start);
+  source.stop(end);
+};
+
+const playSound = (audio, sound, time = audio.ctx.currentTime, bus = audio.buses.sfx) => {
+  for (const part of sound) playPart(audio, part, time, bus);
+};
+
+export const playEventSound = (audio, event) => {
+  if (!isRunning(audio) || audio.settings.muted) return;
+  const sound = getEventSound(event);
+  if (sound) playSound(audio, sound);
+};
+
+// Loops until stopMusic; silent until the context is unlocked
+export const startMusic = (audio) => {
+  if (audio.music) return;
+  const music = { step: 0, nextTime: 0, timer: null };
+  music.timer = setInterval(() => {
+    if (!isRunning(audio) || audio.settings.muted) return;
+    const { currentTime } = audio.ctx;
+    // Picking up after a suspend or a late timer: restart from now
+    if (music.nextTime < currentTime) music.nextTime = currentTime + MUSIC_STEP;
+    while (music.nextTime < currentTime + MUSIC_LOOKAHEAD) {
+      playSound(audio, getMusicNotes(music.step), music.nextTime, audio.buses.music);
+      music.step = (music.step + 1) % (STEPS_PER_BAR * MUSIC_CHORDS.length);
+      music.nextTime += MUSIC_STEP;
+    }
+  }, MUSIC_TICK_MS);
+  audio.music = music;
+};
+
+export const stopMusic = (audio) => {
+  if (!audio.music) return;
+  clearInterval(audio.music.timer);
+  audio.music = null;
+};
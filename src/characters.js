@@ -0,0 +1,26 @@
+// ============== CHARACTERS ==============
+// Gameplay perks per playable frog, keyed by the skin id in shop.js. The
+// engine applies them when the frog is created (createFrog) and when powers
+// activate (activatePower), so balancing a character only means editing
+// this table.
+//
+//   startPower:              power-up active from the first step
+//   jumpMultiplier:          scales JUMP_FORCE for every platform jump (jump
+//                            height grows with its square)
+//   extraShieldHits:         added to the shield's maxHits
+//   powerDurationMultiplier: scales timed power-up durations
+
+export const DEFAULT_CHARACTER = 'default';
+
+export const CHARACTER_PERKS = {
+  default: { description: 'No perks, just a good jumper' },
+  farmer: { description: 'Starts with a Magnet', startPower: 'magnet' },
+  mafia: { description: 'Starts with the Tommy Gun', startPower: 'tommyGun' },
+  general: { description: 'Shields absorb one extra hit', extraShieldHits: 1 },
+  super: { description: 'Starts with a Cape', startPower: 'cape' },
+  'high-jump': { description: 'Jumps 32% higher', jumpMultiplier: 1.15 },
+  lazer: { description: 'Starts with the Laser', startPower: 'laser' },
+  sumo: { description: 'Timed power-ups last 50% longer', powerDurationMultiplier: 1.5 }
+};
+
+export const getCharacterPerks = (id) => CHARACTER_PERKS[id] || CHARACTER_PERKS[DEFAULT_CHARACTER];
@@ -0,0 +1,96 @@
+// ============== CONTROLS ==============
+// Control settings: key and gamepad button bindings per action (see
+// input.js), and touch tilt steering. Tilt steering reads the device's
+// left/right tilt (DeviceOrientation gamma, in degrees): the calibrated rest
+// angle is subtracted, and tilting past a threshold steers like holding an
+// arrow key. The settings are saved.
+
+import { ACTIONS } from './input.js';
+import { loadVersioned, saveVersioned } from './storage.js';
+
+const STORAGE_KEY = 'jumpy-frog.controls';
+export const CONTROLS_VERSION = 1;
+
+export const TILT_SENSITIVITY_MIN = 0.5;
+export const TILT_SENSITIVITY_MAX = 2;
+const TILT_THRESHOLD = 12; // degrees of tilt needed to steer at sensitivity 1
+
+// keys: KeyboardEvent.key values (lowercased); gamepad: standard mapping
+// button indices (0 A, 7 RT, 9 Start, 14/15 d-pad left/right)
+export const DEFAULT_BINDINGS = {
+  keys: { left: ['arrowleft', 'a'], right: ['arrowright', 'd'], shoot: [' '], pause: ['escape', 'p'], mute: ['m'] },
+  gamepad: { left: [14], right: [15], shoot: [0, 7], pause: [9], mute: [] }
+};
+
+const createControls = () => ({ tilt: false, tiltSensitivity: 1, tiltOffset: 0, bindings: DEFAULT_BINDINGS });
+
+const clampSensitivity = (value) => Math.min(TILT_SENSITIVITY_MAX, Math.max(TILT_SENSITIVITY_MIN, value));
+
+// ============== PERSISTENCE ==============
+
+// Saved bindings, falling back to the defaults per action when missing or invalid
+const loadBindings = (saved) => {
+  const bindings = {};
+  for (const [device, isValid] of [['keys', k => typeof k === 'string'], ['gamepad', Number.isInteger]]) {
+    bindings[device] = {};
+    for (const action of ACTIONS) {
+      const inputs = saved?.[device]?.[action];
+      bindings[device][action] = Array.isArray(inputs) && inputs.every(isValid) ? inputs : DEFAULT_BINDINGS[device][action];
+    }
+  }
+  return bindings;
+};
+
+export const loadControls = () => {
+  const data = loadVersioned(STORAGE_KEY, CONTROLS_VERSION);
+  if (!data) return createControls();
+  return {
+    tilt: data.tilt === true,
+    tiltSensitivity: Number.isFinite(data.tiltSensitivity) ? clampSensitivity(data.tiltSensitivity) : 1,
+    tiltOffset: Number.isFinite(data.tiltOffset) ? data.tiltOffset : 0,
+    bindings: loadBindings(data.bindings)
+  };
+};
+
+export const saveControls = (controls) => saveVersioned(STORAGE_KEY, CONTROLS_VERSION, controls);
+
+// ============== DEVICE SUPPORT ==============
+
+export const isTouchDevice = () => 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+export const hasTiltSupport = () => 'DeviceOrientationEvent' in window;
+
+// iOS only sends orientation events after the player allows them, and the
+// request has to come from a tap. Resolves to whether tilt can be used.
+export const requestTiltPermission = async () => {
+  const request = window.DeviceOrientationEvent?.requestPermission;
+  if (typeof request !== 'function') return true;
+  try {
+    return (await request()) === 'granted';
+  } catch {
+    return false;
+  }
+};
+
+// ============== TILT STEERING ==============
+
+// { left, right } for a gamma reading (null before the first reading)
+export const getTiltInput = (gamma, controls) => {
+  if (gamma === null) return { left: false, right: false };
+  const angle = gamma - controls.tiltOffset;
+  const threshold = TILT_THRESHOLD / controls.tiltSensitivity;
+  return { left: angle < -threshold, right: angle > threshold };
+};
+
+// ============== BINDINGS ==============
+
+// Bind a key (device 'keys') or gamepad button (device 'gamepad') to an
+// action, replacing its current bindings. The input is taken off any other
+// action so one press never does two things. Returns new bindings.
+export const bindAction = (bindings, device, action, input) => {
+  const deviceBindings = {};
+  for (const other of ACTIONS) {
+    deviceBindings[other] = other === action ? [input] : bindings[device][other].filter(i => i !== input);
+  }
+  return { ...bindings, [device]: deviceBindings };
+};
@@ -0,0 +1,1191 @@
+// ============== GAME ENGINE ==============
+// Headless game simulation: state creation, spawning, physics, collisions
+// and power-up rules. Runs without a canvas or React; the JumpyFrog
+// component renders the state and feeds it input one fixed step at a time.
+
+import { getLevelNumber, getLevelConfig, LEVEL_BANNER_DURATION } from './levels.js';
+import { createRng, randomSeed } from './random.js';
+import { DEFAULT_CHARACTER, getCharacterPerks } from './characters.js';
+
+// ============== CONSTANTS ==============
+// World size in logical pixels
+export const CANVAS_WIDTH = 400;
+export const CANVAS_HEIGHT = 700;
+export const GRAVITY = 0.4;
+export const JUMP_FORCE = -14;
+export const MOVE_SPEED = 6;
+// Analog movement is rounded to 1/ANALOG_STEPS so replays can store it exactly
+export const ANALOG_STEPS = 20;
+
+// Power-up specific constants
+const ROCKET_SPEED = -20;
+const PROPELLER_SPEED = -8;
+const CAPE_GRAVITY = 0.08;
+const CAPE_MAX_FALL_SPEED = 2;
+const SPRING_SHOES_JUMP_MULTIPLIER = 1.6;
+export const MAGNET_RANGE = 150;
+const MAGNET_PULL_SPEED = 8;
+const SUMO_BOUNCE_FORCE = -18;
+export const INVINCIBILITY_DURATION = 90; // 1.5 seconds at 60fps
+
+// Tongue lash: the base attack when no weapon is active
+export const TONGUE_RANGE = 90;
+export const TONGUE_THICKNESS = 24;
+export const TONGUE_LASH_STEPS = 14; // out and back in
+const TONGUE_COOLDOWN = 40;
+const START_PLATFORM_Y = 600;
+
+// Lives mode: deaths spend a life and respawn the frog until none are left.
+// Classic runs have a single life.
+export const LIVES_MODE_LIVES = 3;
+const RESPAWN_PLATFORM_WIDTH = 100;
+
+// The simulation advances in fixed 60 Hz steps; all frame counts assume it
+export const PHYSICS_HZ = 60;
+const FRAME_SECONDS = 1 / PHYSICS_HZ;
+
+export const GEM_VALUES = { blue: 10, orange: 25, purple: 50 };
+
+export const PLATFORM_COLORS = [
+  { top: '#ff6b9d', bottom: '#ff4081' },
+  { top: '#9cff6b', bottom: '#69f0ae' },
+  { top: '#6bffff', bottom: '#40c4ff' },
+  { top: '#ffeb3b', bottom: '#ffc107' },
+  { top: '#ff9800', bottom: '#ff5722' },
+  { top: '#e040fb', bottom: '#aa00ff' }
+];
+
+export const GEM_COLORS = {
+  blue: { main: '#00FFFF', glow: '#40C4FF' },
+  orange: { main: '#FF6B00', glow: '#FF9800' },
+  purple: { main: '#9C27B0', glow: '#E040FB' }
+};
+
+// Power-up configurations - PERSISTENT vs TIMED
+// Persistent: no timer, lost via enemy hit, replacement, or fall-rescue
+// Timed: duration-based, expires automatically
+export const POWER_CONFIG = {
+  rocket:     { duration: 90, persistent: false },
+  cape:       { persistent: true },  // Gliding, lost on hit/replacement/fall-rescue
+  spring:     { instant: true },      // Immediate jump boost
+  shield:     { persistent: true, maxHits: 2 }, // Absorbs 2 hits
+  propeller:  { duration: 150, persistent: false },
+  springShoes:{ jumps: 5, persistent: false },
+  magnet:     { duration: 360, persistent: false },
+  sumo:       { duration: 150, persistent: false }, // Bounce-kills enemies
+  laser:      { persistent: true, cooldown: 15 },   // Auto-targeting
+  shotgun:    { persistent: true, cooldown: 40 },   // 3-way spread
+  tommyGun:   { persistent: true, cooldown: 5 }     // Rapid fire
+};
+
+// Power-up types and their spawn weights
+export const POWERUP_TYPES = ['rocket', 'cape', 'spring', 'shield', 'propeller', 'springShoes', 'magnet', 'sumo', 'laser', 'shotgun', 'tommyGun'];
+const POWERUP_WEIGHTS = [12, 10, 12, 8, 10, 10, 10, 8, 6, 6, 8];
+
+// Enemy types: spawn weight, first level they appear on, hits to kill with
+// bullets or the tongue (sumo, shield and flight kill outright), points per
+// kill and size
+export const ENEMY_CONFIG = {
+  spiky:   { weight: 50, minLevel: 1, health: 1, score: 25, size: 45 }, // Patrols left and right
+  hover:   { weight: 20, minLevel: 2, health: 1, score: 30, size: 40 }, // Bobs up and down
+  chaser:  { weight: 12, minLevel: 3, health: 1, score: 50, size: 38 }, // Homes in on the frog
+  shooter: { weight: 10, minLevel: 4, health: 1, score: 50, size: 45 }, // Fires slow shots
+  tough:   { weight: 8,  minLevel: 5, health: 3, score: 75, size: 55 }  // Armoured, takes several hits
+};
+export const ENEMY_TYPES = Object.keys(ENEMY_CONFIG);
+
+// Enemy behaviour constants
+const HOVER_AMPLITUDE = 40;
+const HOVER_SPEED = 2.5; // radians per second
+const CHASER_ACCELERATION = 0.08;
+const CHASER_MAX_SPEED = 2.2;
+const SHOOTER_FIRE_INTERVAL = 150;
+const ENEMY_SHOT_SPEED = 3;
+export const ENEMY_SHOT_SIZE = 12;
+const SHOT_DOWN_SCORE = 10;
+
+// Game modes: classic runs get a fresh random seed, daily runs share the date seed
+export const MODE_CLASSIC = 'classic';
+export const MODE_DAILY = 'daily';
+
+const PLATFORM_TYPES = ['normal', 'moving', 'updown', 'breakable', 'spring'];
+const GEM_TYPES = ['blue', 'orange', 'purple'];
+
+// ============== UTILITY FUNCTIONS ==============
+
+export const checkCollision = (a, b, padding = 0) => (
+  a.x + padding < b.x + b.width - padding &&
+  a.x + a.width - padding > b.x + padding &&
+  a.y + padding < b.y + b.height - padding &&
+  a.y + a.height - padding > b.y + padding
+);
+
+export const isOnScreen = (entityY, cameraY, buffer = 50) => {
+  const screenY = entityY - cameraY;
+  return screenY > -buffer && screenY < CANVAS_HEIGHT + buffer;
+};
+
+// Bullets are points: does one sit inside the box?
+const bulletHits = (bullet, box) => (
+  bullet.x > box.x && bullet.x < box.x + box.width &&
+  bullet.y > box.y && bullet.y < box.y + box.height
+);
+
+export const getDistance = (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+
+// Random helpers take an optional generator (see random.js) so level layout
+// can come from a seeded stream; visual-only effects use Math.random
+export const randomRange = (min, max, rng = Math.random) => min + rng() * (max - min);
+export const randomChoice = (arr, rng = Math.random) => arr[Math.floor(rng() * arr.length)];
+export const randomSign = (rng = Math.random) => rng() > 0.5 ? 1 : -1;
+
+// Weighted random selection
+export const weightedRandom = (items, weights, rng = Math.random) => {
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  let random = rng() * totalWeight;
+  for (let i = 0; i < items.length; i++) {
+    random -= weights[i];
+    if (random <= 0) return items[i];
+  }
+  return items[items.length - 1];
+};
+
+// Check if frog has any active power-up
+export const hasAnyPower = (frog) => {
+  return frog.hasRocket || frog.hasCape || frog.hasShield || frog.hasPropeller ||
+         frog.hasSpringShoes || frog.hasMagnet || frog.hasSumo ||
+         frog.hasLaser || frog.hasShotgun || frog.hasTommyGun;
+};
+
+// Check if frog has a persistent power (for fall-rescue)
+export const hasPersistentPower = (frog) => {
+  return frog.hasCape || frog.hasShield || frog.hasLaser || frog.hasShotgun || frog.hasTommyGun;
+};
+
+// Check if frog has a weapon (for manual shooting)
+export const hasWeapon = (frog) => {
+  return frog.hasLaser || frog.hasShotgun || frog.hasTommyGun;
+};
+
+// Clear all power states (does NOT clear queue)
+export const clearAllPowers = (frog) => {
+  frog.hasRocket = false;
+  frog.rocketTimer = 0;
+  frog.hasCape = false;
+  frog.hasShield = false;
+  frog.shieldHits = 0;
+  frog.hasPropeller = false;
+  frog.propellerTimer = 0;
+  frog.hasSpringShoes = false;
+  frog.springShoesJumps = 0;
+  frog.hasMagnet = false;
+  frog.magnetTimer = 0;
+  frog.hasSumo = false;
+  frog.sumoTimer = 0;
+  frog.hasLaser = false;
+  frog.hasShotgun = false;
+  frog.hasTommyGun = false;
+  frog.weaponCooldown = 0;
+};
+
+// Timed power length for this frog (character perks can stretch it)
+const getPowerDuration = (frog, powerType) => (
+  Math.round(POWER_CONFIG[powerType].duration * frog.powerDurationMultiplier)
+);
+
+// Activate a specific power-up on the frog
+export const activatePower = (frog, powerType) => {
+  frog.activatedPowers.push(powerType);
+  switch (powerType) {
+    case 'rocket':
+      frog.hasRocket = true;
+      frog.rocketTimer = getPowerDuration(frog, 'rocket');
+      break;
+    case 'cape':
+      frog.hasCape = true;
+      break;
+    case 'spring':
+      frog.vy = frog.jumpForce * 2.5;
+      break;
+    case 'shield':
+      frog.hasShield = true;
+      frog.shieldHits = 0;
+      frog.shieldMaxHits = POWER_CONFIG.shield.maxHits + frog.extraShieldHits;
+      break;
+    case 'propeller':
+      frog.hasPropeller = true;
+      frog.propellerTimer = getPowerDuration(frog, 'propeller');
+      break;
+    case 'springShoes':
+      frog.hasSpringShoes = true;
+      frog.springShoesJumps = POWER_CONFIG.springShoes.jumps;
+      break;
+    case 'magnet':
+      frog.hasMagnet = true;
+      frog.magnetTimer = getPowerDuration(frog, 'magnet');
+      break;
+    case 'sumo':
+      frog.hasSumo = true;
+      frog.sumoTimer = getPowerDuration(frog, 'sumo');
+      break;
+    case 'laser':
+      frog.hasLaser = true;
+      frog.weaponCooldown = 0;
+      break;
+    case 'shotgun':
+      frog.hasShotgun = true;
+      frog.weaponCooldown = 0;
+      break;
+    case 'tommyGun':
+      frog.hasTommyGun = true;
+      frog.weaponCooldown = 0;
+      break;
+  }
+};
+
+// Activate the next power-up from the queue (if any)
+export const activateNextQueuedPower = (frog) => {
+  if (frog.powerQueue.length > 0) {
+    const nextPower = frog.powerQueue.shift();
+    activatePower(frog, nextPower);
+    return true;
+  }
+  return false;
+};
+
+// ============== ENTITIES ==============
+
+// A new frog for the given character (see characters.js for the perks)
+export const createFrog = (character = DEFAULT_CHARACTER) => {
+  const perks = getCharacterPerks(character);
+  const frog = {
+    x: CANVAS_WIDTH / 2 - 30,
+    y: 500,
+    vx: 0,
+    vy: 0,
+    width: 60,
+    height: 70,
+    // Timed power-ups
+    hasRocket: false,
+    rocketTimer: 0,
+    hasPropeller: false,
+    propellerTimer: 0,
+    propellerAngle: 0,
+    hasSpringShoes: false,
+    springShoesJumps: 0,
+    hasMagnet: false,
+    magnetTimer: 0,
+    hasSumo: false,
+    sumoTimer: 0,
+    // Persistent power-ups
+    hasCape: false,
+    hasShield: false,
+    shieldHits: 0,
+    hasLaser: false,
+    hasShotgun: false,
+    hasTommyGun: false,
+    weaponCooldown: 0,
+    // Tongue lash (facing: -1 left, 1 right)
+    facing: 1,
+    tongueTimer: 0,
+    tongueCooldown: 0,
+    // Mario-style invincibility
+    invincible: false,
+    invincibleTimer: 0,
+    flashTimer: 0,
+    // Power-up queue (collected powers waiting to activate)
+    powerQueue: [],
+    // Powers activated since the last step's events were reported
+    activatedPowers: [],
+    // Animation start times (seconds of game time)
+    jumpStart: -Infinity,
+    landStart: -Infinity,
+    hitStart: -Infinity,
+    tongueStart: -Infinity,
+    // Character perks
+    character,
+    jumpForce: JUMP_FORCE * (perks.jumpMultiplier ?? 1),
+    extraShieldHits: perks.extraShieldHits ?? 0,
+    shieldMaxHits: POWER_CONFIG.shield.maxHits,
+    powerDurationMultiplier: perks.powerDurationMultiplier ?? 1
+  };
+  if (perks.startPower) activatePower(frog, perks.startPower);
+  return frog;
+};
+
+export const createParticles = (x, y, color, count = 6) => {
+  const particles = [];
+  for (let i = 0; i < count; i++) {
+    particles.push({
+      x, y,
+      vx: randomRange(-3, 3),
+      vy: randomRange(-5, -1),
+      color,
+      size: randomRange(3, 6),
+      life: randomRange(20, 40)
+    });
+  }
+  return particles;
+};
+
+// A new enemy of the given type (see ENEMY_CONFIG). Random fields use the
+// given stream so spawned enemies are part of the seeded layout.
+export const createEnemy = (type, x, y, rng = Math.random) => {
+  const config = ENEMY_CONFIG[type];
+  const enemy = { type, x, y, width: config.size, height: config.size, vx: 0, vy: 0, health: config.health };
+
+  switch (type) {
+    case 'hover':
+      enemy.vx = randomSign(rng) * 0.8;
+      enemy.baseY = y;
+      enemy.phase = rng() * Math.PI * 2;
+      break;
+    case 'chaser':
+      // Waits until it is on screen, then flies at the frog
+      break;
+    case 'shooter':
+      enemy.vx = randomSign(rng) * 0.6;
+      enemy.fireTimer = Math.floor(randomRange(60, SHOOTER_FIRE_INTERVAL, rng));
+      enemy.fireStart = -Infinity;
+      break;
+    case 'tough':
+      enemy.vx = randomSign(rng);
+      break;
+    default:
+      enemy.vx = randomSign(rng) * 1.5;
+  }
+  return enemy;
+};
+
+// Generate a platform at height y, plus whatever sits on it. Uses the
+// layout stream only, so the same seed always yields the same layout.
+export const generatePlatform = (g, y) => {
+  const rng = g.layoutRng;
+  const level = getLevelConfig(getLevelNumber(y));
+  const platformType = weightedRandom(PLATFORM_TYPES, PLATFORM_TYPES.map(t => level.platformWeights[t]), rng);
+  let vx = 0;
+
+  if (platformType === 'moving') {
+    vx = randomSign(rng) * randomRange(...level.movingSpeed, rng);
+  }
+
+  const platform = {
+    x: randomRange(20, CANVAS_WIDTH - 100, rng),
+    y,
+    width: randomRange(...level.platformWidth, rng),
+    height: 18,
+    type: platformType,
+    theme: level.theme,
+    color: PLATFORM_COLORS[(level.number - 1) % PLATFORM_COLORS.length],
+    vx,
+    vy: 0,
+    broken: false
+  };
+
+  // Vertical oscillation around the spawn height
+  if (platformType === 'updown') {
+    platform.baseY = y;
+    platform.amplitude = randomRange(...level.updownAmplitude, rng);
+    platform.angularSpeed = (Math.PI * 2) / randomRange(...level.updownPeriod, rng);
+    platform.phase = rng() * Math.PI * 2;
+    platform.y = y + Math.sin(platform.phase) * platform.amplitude;
+  }
+  g.platforms.push(platform);
+
+  // Spawn gem
+  if (rng() < level.spawn.gem) {
+    const gemType = weightedRandom(GEM_TYPES, GEM_TYPES.map(t => level.gemWeights[t]), rng);
+    g.gems.push({
+      x: platform.x + platform.width / 2 - 15,
+      y: platform.y - 50,
+      width: 30,
+      height: 40,
+      type: gemType,
+      collected: false,
+      animFrame: rng() * Math.PI * 2
+    });
+  }
+
+  // Spawn enemy (types unlock as the levels go up)
+  if (rng() < level.spawn.enemy && y < -500) {
+    const weights = ENEMY_TYPES.map(t => (level.number >= ENEMY_CONFIG[t].minLevel ? ENEMY_CONFIG[t].weight : 0));
+    const type = weightedRandom(ENEMY_TYPES, weights, rng);
+    g.enemies.push(createEnemy(type, randomRange(0, CANVAS_WIDTH - ENEMY_CONFIG[type].size, rng), y - 30, rng));
+  }
+
+  // Spawn powerup
+  if (rng() < level.spawn.powerup) {
+    const powerupType = weightedRandom(POWERUP_TYPES, POWERUP_WEIGHTS, rng);
+    g.powerups.push({
+      x: platform.x + platform.width / 2 - 20,
+      y: platform.y - 60,
+      width: 40,
+      height: 50,
+      type: powerupType,
+      collected: false,
+      animFrame: rng() * Math.PI * 2
+    });
+  }
+};
+
+// ============== GAME STATE ==============
+
+// Fresh state for a run. Same seed, same platform/gem/enemy/powerup layout.
+// Options: lives (1 = classic single life), character (perk table id)
+export const createGameState = (seed = randomSeed(), mode = MODE_CLASSIC, { lives = 1, character = DEFAULT_CHARACTER } = {}) => {
+  const g = {
+    seed,
+    mode,
+    lives,
+    startLives: lives,
+    // Layout has its own stream so it never depends on how the run is played
+    layoutRng: createRng(seed),
+    rng: createRng(seed ^ 0x9E3779B9),
+    frog: createFrog(character),
+    platforms: [],
+    gems: [],
+    enemies: [],
+    enemyShots: [],
+    clouds: [],
+    powerups: [],
+    bullets: [],
+    particles: [],
+    cameraY: 0,
+    sunRotation: 0,
+    time: 0,
+    level: 1,
+    levelBannerTimer: 0,
+    score: 0,
+    // Run stats for the leaderboard; altitude is in metres (10 px = 1 m)
+    altitude: 0,
+    gemsCollected: 0,
+    enemiesKilled: 0,
+    gameOver: false
+  };
+
+  for (let i = 0; i < 15; i++) {
+    generatePlatform(g, START_PLATFORM_Y - i * 100);
+  }
+
+  g.platforms.push({
+    x: CANVAS_WIDTH / 2 - 40,
+    y: START_PLATFORM_Y,
+    width: 80,
+    height: 20,
+    type: 'normal',
+    theme: getLevelConfig(1).theme,
+    color: PLATFORM_COLORS[0],
+    vx: 0,
+    vy: 0,
+    broken: false
+  });
+
+  // The frog waits on the start platform and bounces off it on the first step
+  g.frog.y = START_PLATFORM_Y - g.frog.height;
+
+  for (let i = 0; i < 8; i++) {
+    g.clouds.push({
+      x: randomRange(0, CANVAS_WIDTH),
+      y: randomRange(0, 2000),
+      width: randomRange(80, 180),
+      speed: randomRange(0.3, 0.8),
+      opacity: randomRange(0.3, 0.7)
+    });
+  }
+
+  return g;
+};
+
+const endGame = (g, events) => {
+  g.gameOver = true;
+  events.push({ type: 'gameover', score: g.score });
+};
+
+// Put the frog back in play on a fresh, solid platform near the bottom of
+// the screen, invincible for a moment
+const respawnFrog = (g) => {
+  const frog = g.frog;
+  const level = getLevelConfig(g.level);
+  const platform = {
+    x: CANVAS_WIDTH / 2 - RESPAWN_PLATFORM_WIDTH / 2,
+    y: g.cameraY + CANVAS_HEIGHT * 0.75,
+    width: RESPAWN_PLATFORM_WIDTH,
+    height: 18,
+    type: 'normal',
+    theme: level.theme,
+    color: PLATFORM_COLORS[(level.number - 1) % PLATFORM_COLORS.length],
+    vx: 0,
+    vy: 0,
+    broken: false
+  };
+  g.platforms.push(platform);
+
+  frog.x = CANVAS_WIDTH / 2 - frog.width / 2;
+  frog.y = platform.y - frog.height;
+  frog.vx = 0;
+  frog.vy = 0;
+  frog.invincible = true;
+  frog.invincibleTimer = INVINCIBILITY_DURATION;
+  frog.flashTimer = INVINCIBILITY_DURATION;
+
+  g.particles.push(...createParticles(frog.x + frog.width/2, frog.y + frog.height/2, '#FF4081', 12));
+};
+
+// A death: spend a life and respawn, or end the run on the last one
+const loseLife = (g, events) => {
+  g.lives--;
+  if (g.lives <= 0) {
+    endGame(g, events);
+    return;
+  }
+  events.push({ type: 'lifelost', lives: g.lives });
+  respawnFrog(g);
+};
+
+// ============== HITS ==============
+
+// Something hostile touched the frog. Protections are checked in order:
+// invincible, sumo, shield, rocket/propeller flight, losing the active
+// power, and finally losing a life. Returns which one took the hit
+// ('invincible', 'sumo', 'shield', 'flight', 'power' or 'life'); the caller
+// deals with whatever hit the frog.
+const hitFrog = (g, events) => {
+  const frog = g.frog;
+  if (frog.invincible) return 'invincible';
+  if (frog.hasSumo) return 'sumo';
+
+  // Shield: absorb hit
+  if (frog.hasShield) {
+    frog.shieldHits++;
+    frog.hitStart = g.time;
+    const broken = frog.shieldHits >= frog.shieldMaxHits;
+    if (broken) {
+      frog.hasShield = false;
+      frog.shieldHits = 0;
+      frog.invincible = true;
+      frog.invincibleTimer = 60;
+      frog.flashTimer = 60;
+      activateNextQueuedPower(frog);
+    }
+    events.push({ type: 'shield', broken });
+    return 'shield';
+  }
+
+  // Rocket/Propeller: immune during flight
+  if (frog.hasRocket || frog.hasPropeller) return 'flight';
+
+  // Mario-style hit protection: lose power instead of dying
+  if (hasAnyPower(frog)) {
+    clearAllPowers(frog);
+    frog.hitStart = g.time;
+    frog.invincible = true;
+    frog.invincibleTimer = INVINCIBILITY_DURATION;
+    frog.flashTimer = INVINCIBILITY_DURATION;
+    activateNextQueuedPower(frog);
+    events.push({ type: 'powerlost' });
+    return 'power';
+  }
+
+  // No power = lose a life (game over on the last one)
+  loseLife(g, events);
+  return 'life';
+};
+
+// Particle colour for each protection that can take a hit
+const HIT_COLORS = { sumo: '#FF9800', shield: '#2196F3', flight: '#FF5722', power: '#FFEB3B' };
+
+// ============== ENEMIES ==============
+
+// Left and right, turning at the screen edges
+const patrol = (enemy) => {
+  enemy.x += enemy.vx;
+  if (enemy.x <= 0 || enemy.x + enemy.width >= CANVAS_WIDTH) {
+    enemy.vx *= -1;
+  }
+};
+
+// Accelerate towards the frog, up to a top speed
+const chase = (enemy, frog) => {
+  const dx = frog.x + frog.width / 2 - (enemy.x + enemy.width / 2);
+  const dy = frog.y + frog.height / 2 - (enemy.y + enemy.height / 2);
+  const distance = getDistance(0, 0, dx, dy) || 1;
+  enemy.vx += (dx / distance) * CHASER_ACCELERATION;
+  enemy.vy += (dy / distance) * CHASER_ACCELERATION;
+
+  const speed = getDistance(0, 0, enemy.vx, enemy.vy);
+  if (speed > CHASER_MAX_SPEED) {
+    enemy.vx *= CHASER_MAX_SPEED / speed;
+    enemy.vy *= CHASER_MAX_SPEED / speed;
+  }
+  enemy.x += enemy.vx;
+  enemy.y += enemy.vy;
+};
+
+// Slow shot aimed at where the frog is now
+const fireAtFrog = (g, enemy) => {
+  const frog = g.frog;
+  const x = enemy.x + enemy.width / 2;
+  const y = enemy.y + enemy.height / 2;
+  const angle = Math.atan2(frog.y + frog.height / 2 - y, frog.x + frog.width / 2 - x);
+  g.enemyShots.push({
+    x: x - ENEMY_SHOT_SIZE / 2,
+    y: y - ENEMY_SHOT_SIZE / 2,
+    vx: Math.cos(angle) * ENEMY_SHOT_SPEED,
+    vy: Math.sin(angle) * ENEMY_SHOT_SPEED,
+    width: ENEMY_SHOT_SIZE,
+    height: ENEMY_SHOT_SIZE
+  });
+};
+
+// One step of movement (and firing) per enemy type
+const ENEMY_BEHAVIOURS = {
+  spiky: patrol,
+  tough: patrol,
+  hover: (enemy, g) => {
+    patrol(enemy);
+    enemy.y = enemy.baseY + Math.sin(enemy.phase + g.time * HOVER_SPEED) * HOVER_AMPLITUDE;
+  },
+  chaser: (enemy, g) => {
+    if (isOnScreen(enemy.y, g.cameraY, 0)) chase(enemy, g.frog);
+  },
+  shooter: (enemy, g) => {
+    patrol(enemy);
+    if (!isOnScreen(enemy.y, g.cameraY, 0)) return;
+    enemy.fireTimer--;
+    if (enemy.fireTimer <= 0) {
+      fireAtFrog(g, enemy);
+      enemy.fireStart = g.time;
+      enemy.fireTimer = SHOOTER_FIRE_INTERVAL;
+    }
+  }
+};
+
+// One hit from a bullet or the tongue. Returns true if it killed the enemy.
+const damageEnemy = (g, index, by, events) => {
+  const enemy = g.enemies[index];
+  const cx = enemy.x + enemy.width/2;
+  const cy = enemy.y + enemy.height/2;
+  enemy.health--;
+  if (enemy.health > 0) {
+    g.particles.push(...createParticles(cx, cy, '#B0BEC5', 5));
+    return false;
+  }
+
+  g.particles.push(...createParticles(cx, cy, by === 'tongue' ? '#FF4081' : '#9C27B0', 10));
+  g.enemies.splice(index, 1);
+  g.enemiesKilled++;
+  events.push({ type: 'kill', by });
+  g.score += ENEMY_CONFIG[enemy.type].score;
+  events.push({ type: 'score', score: g.score });
+  return true;
+};
+
+// ============== COLLECTION ==============
+// Shared by touching an item and grabbing it with the tongue
+
+const collectGem = (g, gem, events) => {
+  gem.collected = true;
+  g.gemsCollected++;
+  events.push({ type: 'gem', gem: gem.type });
+  g.score += GEM_VALUES[gem.type];
+  events.push({ type: 'score', score: g.score });
+  g.frog.tongueStart = g.time;
+  // Tagged with the gem type so the renderer can recolour them (gem palettes)
+  for (const particle of createParticles(gem.x + gem.width/2, gem.y + gem.height/2, GEM_COLORS[gem.type].main)) {
+    g.particles.push({ ...particle, gem: gem.type });
+  }
+};
+
+const collectPowerup = (g, powerup, events) => {
+  const frog = g.frog;
+  powerup.collected = true;
+
+  // Spring is instant effect, always apply immediately
+  if (powerup.type === 'spring') {
+    events.push({ type: 'powerup', power: powerup.type, queued: false });
+    activatePower(frog, 'spring');
+    frog.jumpStart = g.time;
+  } else if (hasAnyPower(frog) || frog.powerQueue.length > 0) {
+    // Queue the power-up if we already have one active or queued
+    events.push({ type: 'powerup', power: powerup.type, queued: true });
+    frog.powerQueue.push(powerup.type);
+  } else {
+    events.push({ type: 'powerup', power: powerup.type, queued: false });
+    // No active power, activate immediately
+    activatePower(frog, powerup.type);
+  }
+
+  g.particles.push(...createParticles(powerup.x + 20, powerup.y + 25, '#FFD700', 8));
+};
+
+// ============== TONGUE ==============
+
+// Where the tongue leaves the frog's mouth
+export const getTongueOrigin = (frog) => ({
+  x: frog.x + frog.width / 2 + frog.facing * 15,
+  y: frog.y + 30
+});
+
+// Current tongue length: shoots out to TONGUE_RANGE and pulls back in
+export const getTongueLength = (frog) => {
+  if (frog.tongueTimer <= 0) return 0;
+  const progress = 1 - frog.tongueTimer / TONGUE_LASH_STEPS;
+  return TONGUE_RANGE * Math.sin(progress * Math.PI);
+};
+
+// Hitbox of the lash in front of the frog, or null when the tongue is in
+export const getTongueHitbox = (frog) => {
+  const length = getTongueLength(frog);
+  if (length <= 0) return null;
+  const origin = getTongueOrigin(frog);
+  return {
+    x: frog.facing > 0 ? origin.x : origin.x - length,
+    y: origin.y - TONGUE_THICKNESS / 2,
+    width: length,
+    height: TONGUE_THICKNESS
+  };
+};
+
+// ============== UPDATE ==============
+
+// Report activations from pickups, the queue and the character's start power
+const flushActivations = (frog, events) => {
+  for (const power of frog.activatedPowers) events.push({ type: 'activate', power });
+  frog.activatedPowers = [];
+  return events;
+};
+
+// Advance the game by one fixed step. `input` is { left, right, shoot } plus
+// an optional analog `move` (-1…1) that takes over from left/right.
+// Returns the events that happened during the step:
+//   score { score }, altitude { altitude }, level { level }, gem { gem },
+//   kill { by: bullet | tongue | sumo | shield | flight }, lifelost { lives },
+//   gameover { score }, rescue, jump { platform }, powerup { power, queued },
+//   activate { power }, tongue, shoot { weapon }, shield { broken }, powerlost
+export const update = (g, input) => {
+  const events = [];
+  if (g.gameOver) return events;
+
+  const frog = g.frog;
+
+  g.sunRotation += 0.002;
+  g.time += FRAME_SECONDS;
+
+  // Movement: analog input scales MOVE_SPEED, keys move at full speed
+  const move = input.move !== undefined
+    ? Math.round(input.move * ANALOG_STEPS) / ANALOG_STEPS
+    : input.left ? -1 : input.right ? 1 : 0;
+  if (move !== 0) {
+    frog.vx = move * MOVE_SPEED;
+    frog.facing = Math.sign(move);
+  } else {
+    frog.vx *= 0.85;
+  }
+
+  // Power-up specific movement physics
+  if (frog.hasRocket) {
+    frog.vy = ROCKET_SPEED;
+    frog.rocketTimer--;
+    if (frog.rocketTimer <= 0) {
+      frog.hasRocket = false;
+      activateNextQueuedPower(frog);
+    }
+  } else if (frog.hasPropeller) {
+    frog.vy = PROPELLER_SPEED;
+    frog.propellerAngle += 0.5;
+    frog.propellerTimer--;
+    if (frog.propellerTimer <= 0) {
+      frog.hasPropeller = false;
+      activateNextQueuedPower(frog);
+    }
+  } else if (frog.hasCape && frog.vy > 0) {
+    frog.vy += CAPE_GRAVITY;
+    frog.vy = Math.min(frog.vy, CAPE_MAX_FALL_SPEED);
+  } else {
+    frog.vy += GRAVITY;
+  }
+
+  // Timed power-up updates
+  if (frog.hasMagnet) {
+    frog.magnetTimer--;
+    if (frog.magnetTimer <= 0) {
+      frog.hasMagnet = false;
+      activateNextQueuedPower(frog);
+    }
+  }
+  if (frog.hasSumo) {
+    frog.sumoTimer--;
+    if (frog.sumoTimer <= 0) {
+      frog.hasSumo = false;
+      activateNextQueuedPower(frog);
+    }
+  }
+
+  // Invincibility timer
+  if (frog.invincible) {
+    frog.invincibleTimer--;
+    frog.flashTimer = frog.invincibleTimer;
+    if (frog.invincibleTimer <= 0) {
+      frog.invincible = false;
+    }
+  }
+
+  // Weapon cooldown
+  if (frog.weaponCooldown > 0) frog.weaponCooldown--;
+  if (frog.tongueCooldown > 0) frog.tongueCooldown--;
+  if (frog.tongueTimer > 0) frog.tongueTimer--;
+
+  frog.x += frog.vx;
+  frog.y += frog.vy;
+
+  // Screen wrap
+  if (frog.x > CANVAS_WIDTH) frog.x = -frog.width;
+  if (frog.x < -frog.width) frog.x = CANVAS_WIDTH;
+
+  // Camera follow
+  const targetCameraY = frog.y - CANVAS_HEIGHT * 0.4;
+  if (targetCameraY < g.cameraY) {
+    g.cameraY = targetCameraY;
+    const altitude = Math.floor(-g.cameraY / 10);
+    if (altitude > g.altitude) {
+      g.altitude = altitude;
+      events.push({ type: 'altitude', altitude });
+    }
+    g.score = Math.max(g.score, g.altitude);
+    events.push({ type: 'score', score: g.score });
+  }
+
+  // Level progression
+  const frogLevel = getLevelNumber(frog.y);
+  if (frogLevel > g.level) {
+    g.level = frogLevel;
+    g.levelBannerTimer = LEVEL_BANNER_DURATION;
+    events.push({ type: 'level', level: g.level });
+  }
+  if (g.levelBannerTimer > 0) g.levelBannerTimer--;
+
+  // Platform collision
+  if (frog.vy > 0 && !frog.hasRocket && !frog.hasPropeller) {
+    for (const platform of g.platforms) {
+      if (platform.broken) continue;
+      // Compare against the platform's own motion so rising/falling
+      // platforms neither let the frog sink through nor miss it
+      const relativeVy = frog.vy - platform.vy;
+      if (relativeVy <= 0) continue;
+      if (frog.x + frog.width > platform.x &&
+          frog.x < platform.x + platform.width &&
+          frog.y + frog.height > platform.y &&
+          frog.y + frog.height < platform.y + platform.height + relativeVy + 5) {
+
+        // Stand on top of the platform and jump relative to it
+        frog.y = platform.y - frog.height;
+
+        let jumpForce = frog.jumpForce;
+
+        if (frog.hasSpringShoes) {
+          jumpForce *= SPRING_SHOES_JUMP_MULTIPLIER;
+          frog.springShoesJumps--;
+          if (frog.springShoesJumps <= 0) {
+            frog.hasSpringShoes = false;
+            activateNextQueuedPower(frog);
+          }
+        }
+
+        // Landing squash and the next jump start together
+        frog.jumpStart = g.time;
+        frog.landStart = g.time;
+
+        events.push({ type: 'jump', platform: platform.type });
+        if (platform.type === 'breakable') {
+          platform.broken = true;
+          frog.vy = jumpForce;
+          g.particles.push(...createParticles(platform.x + platform.width/2, platform.y, platform.color.top));
+        } else if (platform.type === 'spring') {
+          frog.vy = jumpForce * 1.5;
+        } else {
+          frog.vy = jumpForce + platform.vy;
+        }
+      }
+    }
+  }
+
+  // Moving platforms
+  for (const platform of g.platforms) {
+    if (platform.type === 'moving') {
+      platform.x += platform.vx;
+      if (platform.x <= 0 || platform.x + platform.width >= CANVAS_WIDTH) {
+        platform.vx *= -1;
+      }
+    } else if (platform.type === 'updown') {
+      platform.phase += platform.angularSpeed;
+      const newY = platform.baseY + Math.sin(platform.phase) * platform.amplitude;
+      platform.vy = newY - platform.y;
+      platform.y = newY;
+    }
+  }
+
+  // Magnet gem attraction
+  if (frog.hasMagnet) {
+    const frogCX = frog.x + frog.width / 2;
+    const frogCY = frog.y + frog.height / 2;
+    for (const gem of g.gems) {
+      if (gem.collected) continue;
+      const dist = getDistance(frogCX, frogCY, gem.x + gem.width/2, gem.y + gem.height/2);
+      if (dist < MAGNET_RANGE && dist > 5) {
+        const angle = Math.atan2(frogCY - gem.y - gem.height/2, frogCX - gem.x - gem.width/2);
+        gem.x += Math.cos(angle) * MAGNET_PULL_SPEED;
+        gem.y += Math.sin(angle) * MAGNET_PULL_SPEED;
+      }
+    }
+  }
+
+  // Gem collection
+  for (const gem of g.gems) {
+    if (gem.collected) continue;
+    gem.animFrame += 0.15;
+
+    if (checkCollision(frog, gem)) collectGem(g, gem, events);
+  }
+
+  // Powerup collection
+  for (const powerup of g.powerups) {
+    if (powerup.collected) continue;
+    powerup.animFrame += 0.1;
+
+    if (checkCollision(frog, powerup)) collectPowerup(g, powerup, events);
+  }
+
+  // Tongue lash with SPACE when there is no weapon to fire
+  if (input.shoot && !hasWeapon(frog) && frog.tongueCooldown === 0) {
+    frog.tongueTimer = TONGUE_LASH_STEPS;
+    frog.tongueCooldown = TONGUE_COOLDOWN;
+    frog.tongueStart = g.time;
+    events.push({ type: 'tongue' });
+  }
+
+  // Manual shooting with SPACE (weapons only)
+  if (input.shoot && hasWeapon(frog) && frog.weaponCooldown === 0) {
+    const frogCX = frog.x + frog.width / 2;
+    const frogCY = frog.y + frog.height / 2;
+
+    if (frog.hasLaser) {
+      // Find nearest enemy for auto-targeting
+      let nearestEnemy = null;
+      let nearestDist = 400;
+      for (const enemy of g.enemies) {
+        const dist = getDistance(frogCX, frogCY, enemy.x + enemy.width/2, enemy.y + enemy.height/2);
+        if (dist < nearestDist) {
+          nearestDist = dist;
+          nearestEnemy = enemy;
+        }
+      }
+
+      let vx = 15, vy = 0;
+      if (nearestEnemy) {
+        const angle = Math.atan2(nearestEnemy.y + nearestEnemy.height/2 - frogCY, nearestEnemy.x + nearestEnemy.width/2 - frogCX);
+        vx = Math.cos(angle) * 15;
+        vy = Math.sin(angle) * 15;
+      }
+
+      g.bullets.push({ x: frogCX, y: frogCY, vx, vy, width: 20, height: 4, type: 'laser' });
+      frog.weaponCooldown = POWER_CONFIG.laser.cooldown;
+    } else if (frog.hasShotgun) {
+      // 3-way spread shot
+      for (let i = -1; i <= 1; i++) {
+        const angle = -Math.PI/2 + i * 0.3;
+        g.bullets.push({
+          x: frogCX, y: frogCY,
+          vx: Math.cos(angle) * 10,
+          vy: Math.sin(angle) * 10,
+          width: 10, height: 10,
+          type: 'shotgun'
+        });
+      }
+      frog.weaponCooldown = POWER_CONFIG.shotgun.cooldown;
+    } else if (frog.hasTommyGun) {
+      // Rapid fire with slight spread
+      const spread = (g.rng() - 0.5) * 0.3;
+      g.bullets.push({
+        x: frogCX, y: frogCY,
+        vx: Math.cos(-Math.PI/2 + spread) * 12,
+        vy: Math.sin(-Math.PI/2 + spread) * 12,
+        width: 8, height: 8,
+        type: 'tommyGun'
+      });
+      frog.weaponCooldown = POWER_CONFIG.tommyGun.cooldown;
+    }
+    // Bullets are typed by the weapon that fired them
+    events.push({ type: 'shoot', weapon: g.bullets[g.bullets.length - 1].type });
+  }
+
+  // Update bullets
+  for (let i = g.bullets.length - 1; i >= 0; i--) {
+    const bullet = g.bullets[i];
+    bullet.x += bullet.vx;
+    bullet.y += bullet.vy;
+
+    let hit = false;
+
+    // Bullet-enemy collision
+    for (let j = g.enemies.length - 1; j >= 0 && !hit; j--) {
+      if (!bulletHits(bullet, g.enemies[j])) continue;
+      damageEnemy(g, j, 'bullet', events);
+      hit = true;
+    }
+
+    // Bullet-shot collision: enemy shots can be shot down for a small bonus
+    for (let j = g.enemyShots.length - 1; j >= 0 && !hit; j--) {
+      const shot = g.enemyShots[j];
+      if (!bulletHits(bullet, shot)) continue;
+      g.particles.push(...createParticles(shot.x + shot.width/2, shot.y + shot.height/2, '#FF5252', 6));
+      g.enemyShots.splice(j, 1);
+      g.score += SHOT_DOWN_SCORE;
+      events.push({ type: 'score', score: g.score });
+      hit = true;
+    }
+
+    if (hit) {
+      g.bullets.splice(i, 1);
+      continue;
+    }
+
+    // Remove off-screen bullets
+    if (bullet.x < 0 || bullet.x > CANVAS_WIDTH ||
+        bullet.y < g.cameraY - 100 || bullet.y > g.cameraY + CANVAS_HEIGHT + 100) {
+      g.bullets.splice(i, 1);
+    }
+  }
+
+  // Tongue hits: kill enemies and grab gems/power-ups within reach. An
+  // enemy that survives the hit stops the tongue, so each lash hits it once.
+  const tongue = getTongueHitbox(frog);
+  if (tongue) {
+    for (let i = g.enemies.length - 1; i >= 0; i--) {
+      if (!checkCollision(tongue, g.enemies[i])) continue;
+      if (!damageEnemy(g, i, 'tongue', events)) {
+        frog.tongueTimer = 0;
+        break;
+      }
+    }
+    for (const gem of g.gems) {
+      if (!gem.collected && checkCollision(tongue, gem)) collectGem(g, gem, events);
+    }
+    for (const powerup of g.powerups) {
+      if (!powerup.collected && checkCollision(tongue, powerup)) collectPowerup(g, powerup, events);
+    }
+  }
+
+  // Enemy movement and contact with Mario-style protection
+  for (let i = g.enemies.length - 1; i >= 0; i--) {
+    const enemy = g.enemies[i];
+    ENEMY_BEHAVIOURS[enemy.type](enemy, g);
+
+    if (checkCollision(frog, enemy, 5)) {
+      const hit = hitFrog(g, events);
+      if (hit === 'invincible') continue;
+      if (hit === 'life') {
+        if (g.gameOver) return flushActivations(frog, events);
+        continue;
+      }
+
+      g.particles.push(...createParticles(enemy.x + enemy.width/2, enemy.y + enemy.height/2, HIT_COLORS[hit], 10));
+      g.enemies.splice(i, 1);
+      // Losing a power saves the frog but does not count as a kill
+      if (hit === 'power') continue;
+      g.enemiesKilled++;
+      events.push({ type: 'kill', by: hit });
+
+      // Sumo: bounce-kill enemies on contact
+      if (hit === 'sumo') {
+        frog.vy = SUMO_BOUNCE_FORCE;
+        g.score += 100;
+        events.push({ type: 'score', score: g.score });
+      }
+    }
+  }
+
+  // Enemy shots fly straight and hurt like touching an enemy
+  for (let i = g.enemyShots.length - 1; i >= 0; i--) {
+    const shot = g.enemyShots[i];
+    shot.x += shot.vx;
+    shot.y += shot.vy;
+
+    if (checkCollision(frog, shot, 2)) {
+      const hit = hitFrog(g, events);
+      if (hit === 'invincible') continue;
+      g.enemyShots.splice(i, 1);
+      if (hit === 'life') {
+        if (g.gameOver) return flushActivations(frog, events);
+        continue;
+      }
+      g.particles.push(...createParticles(shot.x + shot.width/2, shot.y + shot.height/2, HIT_COLORS[hit], 6));
+      continue;
+    }
+
+    if (shot.x + shot.width < 0 || shot.x > CANVAS_WIDTH ||
+        !isOnScreen(shot.y, g.cameraY, 100)) {
+      g.enemyShots.splice(i, 1);
+    }
+  }
+
+  // Update particles
+  for (let i = g.particles.length - 1; i >= 0; i--) {
+    const p = g.particles[i];
+    p.x += p.vx;
+    p.y += p.vy;
+    p.vy += 0.2;
+    p.life--;
+    if (p.life <= 0) g.particles.splice(i, 1);
+  }
+
+  // Clouds
+  for (const cloud of g.clouds) {
+    cloud.x -= cloud.speed;
+    if (cloud.x + cloud.width < 0) {
+      cloud.x = CANVAS_WIDTH + randomRange(0, 100);
+      cloud.y = g.cameraY - randomRange(0, CANVAS_HEIGHT);
+    }
+  }
+
+  // Generate platforms
+  // Oscillating platforms count from their rest height so the layout
+  // does not depend on when the next platform happens to be generated
+  let highestPlatform = Math.min(...g.platforms.map(p => p.baseY ?? p.y));
+  while (highestPlatform > g.cameraY - 200) {
+    const newY = highestPlatform - randomRange(...getLevelConfig(getLevelNumber(highestPlatform)).gap, g.layoutRng);
+    generatePlatform(g, newY);
+    highestPlatform = newY;
+  }
+
+  // Cleanup
+  const cleanupY = g.cameraY + CANVAS_HEIGHT + 100;
+  g.platforms = g.platforms.filter(p => p.y < cleanupY);
+  g.gems = g.gems.filter(gem => gem.y < cleanupY && !gem.collected);
+  g.enemies = g.enemies.filter(e => e.y < cleanupY);
+  g.powerups = g.powerups.filter(p => p.y < cleanupY && !p.collected);
+
+  // Fall death OR fall-rescue with persistent power
+  if (frog.y > g.cameraY + CANVAS_HEIGHT + 100) {
+    if (hasPersistentPower(frog)) {
+      // Fall-rescue: teleport back, lose power
+      frog.y = g.cameraY + CANVAS_HEIGHT * 0.5;
+      frog.vy = frog.jumpForce * 1.5;
+      frog.x = CANVAS_WIDTH / 2 - frog.width / 2;
+
+      clearAllPowers(frog);
+      frog.hitStart = g.time;
+
+      frog.invincible = true;
+      frog.invincibleTimer = 60;
+      frog.flashTimer = 60;
+
+      g.particles.push(...createParticles(frog.x + frog.width/2, frog.y + frog.height/2, '#FFD700', 12));
+      activateNextQueuedPower(frog);
+      events.push({ type: 'rescue' });
+    } else {
+      loseLife(g, events);
+    }
+  }
+
+  return flushActivations(frog, events);
+};
@@ -0,0 +1,822 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  CANVAS_WIDTH, CANVAS_HEIGHT, JUMP_FORCE, MOVE_SPEED, INVINCIBILITY_DURATION, POWER_CONFIG, LIVES_MODE_LIVES,
+  TONGUE_RANGE, TONGUE_LASH_STEPS,
+  ENEMY_CONFIG, ENEMY_SHOT_SIZE, createGameState, createFrog, createEnemy, generatePlatform, update,
+  activatePower, activateNextQueuedPower, clearAllPowers, hasAnyPower, hasPersistentPower
+} from './engine.js';
+
+// ============== HELPERS ==============
+
+const NO_INPUT = { left: false, right: false, shoot: false };
+
+// Fixed seed with the spawned gems, enemies and power-ups removed, so each
+// test only sees what it places itself
+const createTestState = (lives = 1) => {
+  const g = createGameState(1, undefined, { lives });
+  g.gems = [];
+  g.enemies = [];
+  g.powerups = [];
+  return g;
+};
+
+const step = (g, frames = 1, input = NO_INPUT) => {
+  const events = [];
+  for (let i = 0; i < frames; i++) events.push(...update(g, input));
+  return events;
+};
+
+// Entities are placed where the frog will be after this step's movement
+const nextFrogY = (g) => g.frog.y + g.frog.vy;
+
+const placePowerupOnFrog = (g, type) => {
+  g.powerups.push({
+    x: g.frog.x + 10,
+    y: nextFrogY(g),
+    width: 40,
+    height: 50,
+    type,
+    collected: false,
+    animFrame: 0
+  });
+};
+
+const placeEnemyOnFrog = (g, type = 'spiky') => {
+  const enemy = createEnemy(type, g.frog.x + 8, nextFrogY(g) + 10);
+  enemy.vx = 0;
+  g.enemies.push(enemy);
+  return enemy;
+};
+
+// A still enemy shot where the frog will be
+const placeShotOnFrog = (g) => {
+  const shot = { x: g.frog.x + 20, y: nextFrogY(g) + 20, vx: 0, vy: 0, width: ENEMY_SHOT_SIZE, height: ENEMY_SHOT_SIZE };
+  g.enemyShots.push(shot);
+  return shot;
+};
+
+// Something in front of the frog, beyond touching distance but within tongue
+// reach (the frog faces right at the start)
+const placeInFrontOfFrog = (g, entity) => {
+  entity.x = g.frog.x + g.frog.width + TONGUE_RANGE / 2 - entity.width / 2;
+  entity.y = g.frog.y + 30 - entity.height / 2;
+  return entity;
+};
+
+// Drop the frog below the bottom of the screen
+const dropFrog = (g) => {
+  g.frog.y = g.cameraY + CANVAS_HEIGHT + 200;
+  g.frog.vy = 0;
+};
+
+// ============== POWER-UP HELPERS ==============
+
+describe('power-up helpers', () => {
+  let frog;
+  beforeEach(() => {
+    frog = createFrog();
+  });
+
+  it('activates timed powers with their configured duration', () => {
+    activatePower(frog, 'rocket');
+    expect(frog.hasRocket).toBe(true);
+    expect(frog.rocketTimer).toBe(POWER_CONFIG.rocket.duration);
+
+    activatePower(frog, 'springShoes');
+    expect(frog.springShoesJumps).toBe(POWER_CONFIG.springShoes.jumps);
+  });
+
+  it('treats only cape, shield and weapons as persistent', () => {
+    for (const type of ['cape', 'shield', 'laser', 'shotgun', 'tommyGun']) {
+      const f = createFrog();
+      activatePower(f, type);
+      expect(hasPersistentPower(f), type).toBe(true);
+    }
+    for (const type of ['rocket', 'propeller', 'springShoes', 'magnet', 'sumo']) {
+      const f = createFrog();
+      activatePower(f, type);
+      expect(hasAnyPower(f), type).toBe(true);
+      expect(hasPersistentPower(f), type).toBe(false);
+    }
+  });
+
+  it('clears every power but keeps the queue', () => {
+    activatePower(frog, 'shield');
+    activatePower(frog, 'magnet');
+    frog.powerQueue.push('cape');
+
+    clearAllPowers(frog);
+
+    expect(hasAnyPower(frog)).toBe(false);
+    expect(frog.shieldHits).toBe(0);
+    expect(frog.magnetTimer).toBe(0);
+    expect(frog.powerQueue).toEqual(['cape']);
+  });
+
+  it('activates queued powers first in, first out', () => {
+    frog.powerQueue.push('magnet', 'cape');
+
+    expect(activateNextQueuedPower(frog)).toBe(true);
+    expect(frog.hasMagnet).toBe(true);
+    expect(frog.hasCape).toBe(false);
+    expect(frog.powerQueue).toEqual(['cape']);
+
+    expect(activateNextQueuedPower(frog)).toBe(true);
+    expect(activateNextQueuedPower(frog)).toBe(false);
+  });
+});
+
+// ============== POWER-UP QUEUE ==============
+
+describe('power-up queue', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('activates a power-up right away when none is active', () => {
+    placePowerupOnFrog(g, 'magnet');
+    step(g);
+
+    expect(g.frog.hasMagnet).toBe(true);
+    expect(g.frog.powerQueue).toEqual([]);
+  });
+
+  it('queues a power-up collected during an active rocket', () => {
+    activatePower(g.frog, 'rocket');
+    placePowerupOnFrog(g, 'shield');
+    step(g);
+
+    expect(g.frog.hasRocket).toBe(true);
+    expect(g.frog.hasShield).toBe(false);
+    expect(g.frog.powerQueue).toEqual(['shield']);
+  });
+
+  it('activates the queued power-up when the rocket runs out', () => {
+    activatePower(g.frog, 'rocket');
+    placePowerupOnFrog(g, 'shield');
+    step(g);
+
+    step(g, POWER_CONFIG.rocket.duration - 2);
+    expect(g.frog.hasRocket).toBe(true);
+    expect(g.frog.hasShield).toBe(false);
+
+    step(g);
+    expect(g.frog.hasRocket).toBe(false);
+    expect(g.frog.hasShield).toBe(true);
+    expect(g.frog.powerQueue).toEqual([]);
+  });
+
+  it('queues behind already-queued power-ups', () => {
+    activatePower(g.frog, 'rocket');
+    g.frog.powerQueue.push('cape');
+    placePowerupOnFrog(g, 'magnet');
+    step(g);
+
+    expect(g.frog.powerQueue).toEqual(['cape', 'magnet']);
+  });
+
+  it('queues a power-up when one is waiting even if none is active', () => {
+    g.frog.powerQueue.push('cape');
+    placePowerupOnFrog(g, 'magnet');
+    step(g);
+
+    expect(g.frog.hasMagnet).toBe(false);
+    expect(g.frog.powerQueue).toEqual(['cape', 'magnet']);
+  });
+
+  it('never queues a spring, it boosts the jump immediately', () => {
+    activatePower(g.frog, 'rocket');
+    g.frog.rocketTimer = 1;
+    placePowerupOnFrog(g, 'spring');
+    step(g);
+
+    expect(g.frog.powerQueue).toEqual([]);
+    expect(g.frog.vy).toBeLessThan(JUMP_FORCE * 2);
+  });
+});
+
+// ============== HIT PROTECTION ==============
+
+describe('Mario-style hit protection', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('ends the run when hit without a power-up', () => {
+    placeEnemyOnFrog(g);
+    const events = step(g);
+
+    expect(g.gameOver).toBe(true);
+    expect(events).toContainEqual({ type: 'gameover', score: g.score });
+  });
+
+  it('absorbs exactly two hits with a shield', () => {
+    activatePower(g.frog, 'shield');
+
+    placeEnemyOnFrog(g);
+    step(g);
+    expect(g.gameOver).toBe(false);
+    expect(g.frog.hasShield).toBe(true);
+    expect(g.frog.shieldHits).toBe(1);
+    expect(g.enemies).toHaveLength(0);
+
+    placeEnemyOnFrog(g);
+    step(g);
+    expect(g.gameOver).toBe(false);
+    expect(g.frog.hasShield).toBe(false);
+    expect(g.frog.invincible).toBe(true);
+
+    // Wait out the invincibility after the shield breaks
+    step(g, g.frog.invincibleTimer);
+    expect(g.frog.invincible).toBe(false);
+
+    placeEnemyOnFrog(g);
+    step(g);
+    expect(g.gameOver).toBe(true);
+  });
+
+  it('activates the queued power-up when the shield breaks', () => {
+    activatePower(g.frog, 'shield');
+    g.frog.shieldHits = POWER_CONFIG.shield.maxHits - 1;
+    g.frog.powerQueue.push('magnet');
+
+    placeEnemyOnFrog(g);
+    step(g);
+
+    expect(g.frog.hasShield).toBe(false);
+    expect(g.frog.hasMagnet).toBe(true);
+  });
+
+  it('loses the power instead of the run and becomes invincible', () => {
+    activatePower(g.frog, 'magnet');
+
+    placeEnemyOnFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(hasAnyPower(g.frog)).toBe(false);
+    expect(g.frog.invincible).toBe(true);
+    expect(g.frog.invincibleTimer).toBe(INVINCIBILITY_DURATION);
+  });
+
+  it('ignores enemies while invincible', () => {
+    activatePower(g.frog, 'magnet');
+    placeEnemyOnFrog(g);
+    step(g);
+
+    placeEnemyOnFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(g.enemies).toHaveLength(1);
+  });
+
+  it('activates the next queued power-up after losing one', () => {
+    activatePower(g.frog, 'laser');
+    g.frog.powerQueue.push('cape');
+
+    placeEnemyOnFrog(g);
+    step(g);
+
+    expect(g.frog.hasLaser).toBe(false);
+    expect(g.frog.hasCape).toBe(true);
+    expect(g.frog.powerQueue).toEqual([]);
+  });
+
+  it('keeps the rocket and destroys the enemy during flight', () => {
+    activatePower(g.frog, 'rocket');
+
+    placeEnemyOnFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(g.frog.hasRocket).toBe(true);
+    expect(g.frog.invincible).toBe(false);
+    expect(g.enemies).toHaveLength(0);
+  });
+
+  it('bounce-kills enemies with sumo', () => {
+    activatePower(g.frog, 'sumo');
+
+    placeEnemyOnFrog(g);
+    const events = step(g);
+
+    expect(g.frog.hasSumo).toBe(true);
+    expect(g.enemies).toHaveLength(0);
+    expect(events).toContainEqual({ type: 'score', score: g.score });
+  });
+});
+
+// ============== FALL RESCUE ==============
+
+describe('fall rescue', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('ends the run when falling without a power-up', () => {
+    dropFrog(g);
+    const events = step(g);
+
+    expect(g.gameOver).toBe(true);
+    expect(events).toContainEqual({ type: 'gameover', score: g.score });
+  });
+
+  it('ends the run when falling with only a timed power-up', () => {
+    activatePower(g.frog, 'magnet');
+    dropFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(true);
+  });
+
+  it('teleports the frog back and consumes the cape', () => {
+    activatePower(g.frog, 'cape');
+    dropFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(g.frog.hasCape).toBe(false);
+    expect(g.frog.x).toBe(CANVAS_WIDTH / 2 - g.frog.width / 2);
+    expect(g.frog.y).toBe(g.cameraY + CANVAS_HEIGHT * 0.5);
+    expect(g.frog.vy).toBe(JUMP_FORCE * 1.5);
+    expect(g.frog.invincible).toBe(true);
+  });
+
+  it('only rescues once per power', () => {
+    activatePower(g.frog, 'shield');
+    dropFrog(g);
+    step(g);
+    expect(g.gameOver).toBe(false);
+
+    dropFrog(g);
+    step(g);
+    expect(g.gameOver).toBe(true);
+  });
+
+  it('activates the next queued power-up after a rescue', () => {
+    activatePower(g.frog, 'tommyGun');
+    g.frog.powerQueue.push('shield');
+    dropFrog(g);
+    step(g);
+
+    expect(g.frog.hasTommyGun).toBe(false);
+    expect(g.frog.hasShield).toBe(true);
+    expect(g.frog.powerQueue).toEqual([]);
+  });
+});
+
+// ============== LIVES ==============
+
+describe('lives mode', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState(LIVES_MODE_LIVES);
+  });
+
+  it('spends a life and respawns on a new platform after a fall', () => {
+    const platformCount = g.platforms.length;
+    dropFrog(g);
+    const events = step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(g.lives).toBe(LIVES_MODE_LIVES - 1);
+    expect(events).toContainEqual({ type: 'lifelost', lives: LIVES_MODE_LIVES - 1 });
+
+    const platform = g.platforms[g.platforms.length - 1];
+    expect(g.platforms).toHaveLength(platformCount + 1);
+    expect(platform.type).toBe('normal');
+    expect(g.frog.y + g.frog.height).toBe(platform.y);
+    expect(g.frog.invincible).toBe(true);
+  });
+
+  it('spends a life when hit without a power-up', () => {
+    placeEnemyOnFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(g.lives).toBe(LIVES_MODE_LIVES - 1);
+    expect(g.frog.invincibleTimer).toBe(INVINCIBILITY_DURATION);
+  });
+
+  it('ends the run when the last life is lost', () => {
+    for (let i = 1; i < LIVES_MODE_LIVES; i++) {
+      dropFrog(g);
+      step(g);
+    }
+    expect(g.gameOver).toBe(false);
+
+    dropFrog(g);
+    const events = step(g);
+    expect(g.gameOver).toBe(true);
+    expect(events).toContainEqual({ type: 'gameover', score: g.score });
+  });
+});
+
+// ============== CHARACTER PERKS ==============
+
+describe('character perks', () => {
+  it('starts the farmer with a magnet and the mafia frog with the tommy gun', () => {
+    expect(createFrog('farmer').hasMagnet).toBe(true);
+    expect(createFrog('mafia').hasTommyGun).toBe(true);
+    expect(hasAnyPower(createFrog('default'))).toBe(false);
+  });
+
+  it('gives the general an extra shield hit', () => {
+    const g = createGameState(1, undefined, { character: 'general' });
+    g.enemies = [];
+    activatePower(g.frog, 'shield');
+
+    for (let hit = 0; hit < POWER_CONFIG.shield.maxHits; hit++) {
+      placeEnemyOnFrog(g);
+      step(g);
+    }
+    expect(g.frog.hasShield).toBe(true);
+
+    placeEnemyOnFrog(g);
+    step(g);
+    expect(g.frog.hasShield).toBe(false);
+    expect(g.gameOver).toBe(false);
+  });
+
+  it('makes the high-jump frog jump harder off platforms', () => {
+    expect(createFrog('high-jump').jumpForce).toBeLessThan(JUMP_FORCE);
+
+    const g = createGameState(1, undefined, { character: 'high-jump' });
+    step(g);
+    expect(g.frog.vy).toBe(g.frog.jumpForce);
+
+    // The fall-rescue bounce uses the perk too
+    activatePower(g.frog, 'laser');
+    dropFrog(g);
+    step(g);
+    expect(g.frog.vy).toBe(g.frog.jumpForce * 1.5);
+  });
+
+  it('stretches timed power-ups for the sumo frog', () => {
+    const frog = createFrog('sumo');
+    activatePower(frog, 'rocket');
+    expect(frog.rocketTimer).toBe(POWER_CONFIG.rocket.duration * 1.5);
+  });
+
+  it('falls back to the default frog for unknown characters', () => {
+    const frog = createFrog('no-such-frog');
+    expect(frog.jumpForce).toBe(JUMP_FORCE);
+    expect(hasAnyPower(frog)).toBe(false);
+  });
+});
+
+// ============== ENEMY TYPES ==============
+
+describe('enemy types', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('only spawns patrolling enemies on the first level', () => {
+    const level1 = createGameState(7);
+    for (let i = 0; i < 40; i++) generatePlatform(level1, -600 - i * 100);
+
+    expect(level1.enemies.length).toBeGreaterThan(0);
+    expect(level1.enemies.every(enemy => enemy.type === 'spiky')).toBe(true);
+  });
+
+  it('takes several bullets to kill a tough enemy, scoring only the last', () => {
+    const enemy = createEnemy('tough', 100, g.frog.y - 300);
+    enemy.vx = 0;
+    g.enemies.push(enemy);
+    const shootAt = () => g.bullets.push({ x: enemy.x + 20, y: enemy.y + 20, vx: 0, vy: 0 });
+
+    for (let i = 1; i < ENEMY_CONFIG.tough.health; i++) {
+      shootAt();
+      step(g);
+      expect(g.enemies).toContain(enemy);
+    }
+    const score = g.score;
+    shootAt();
+    const events = step(g);
+
+    expect(g.enemies).not.toContain(enemy);
+    expect(events).toContainEqual({ type: 'kill', by: 'bullet' });
+    expect(g.score - score).toBeGreaterThanOrEqual(ENEMY_CONFIG.tough.score);
+  });
+
+  it('bobs hover enemies up and down', () => {
+    const enemy = createEnemy('hover', 100, g.frog.y - 300, () => 0);
+    g.enemies.push(enemy);
+    const heights = new Set();
+    for (let i = 0; i < 30; i++) {
+      step(g);
+      heights.add(Math.round(enemy.y));
+    }
+
+    expect(heights.size).toBeGreaterThan(5);
+    expect(Math.abs(enemy.y - enemy.baseY)).toBeLessThanOrEqual(40);
+  });
+
+  it('homes chasers in on the frog once on screen', () => {
+    const enemy = createEnemy('chaser', 0, g.frog.y - 200);
+    g.enemies.push(enemy);
+    const distance = () => Math.abs(enemy.x - g.frog.x);
+    const before = distance();
+    step(g, 20);
+
+    expect(distance()).toBeLessThan(before);
+  });
+
+  it('fires shots at the frog from shooters on screen', () => {
+    const enemy = createEnemy('shooter', 0, g.frog.y - 300);
+    enemy.fireTimer = 1;
+    g.enemies.push(enemy);
+    step(g);
+
+    expect(g.enemyShots).toHaveLength(1);
+    expect(g.enemyShots[0].vx).toBeGreaterThan(0);
+  });
+});
+
+// ============== ENEMY SHOTS ==============
+
+describe('enemy shots', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('ends the run when a shot hits the frog without a power-up', () => {
+    placeShotOnFrog(g);
+    const events = step(g);
+
+    expect(g.gameOver).toBe(true);
+    expect(events).toContainEqual({ type: 'gameover', score: g.score });
+  });
+
+  it('passes through an invincible frog', () => {
+    g.frog.invincible = true;
+    g.frog.invincibleTimer = INVINCIBILITY_DURATION;
+    placeShotOnFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(g.enemyShots).toHaveLength(1);
+  });
+
+  it('is destroyed by sumo and flight without costing the power', () => {
+    for (const power of ['sumo', 'rocket']) {
+      activatePower(g.frog, power);
+      placeShotOnFrog(g);
+      step(g);
+
+      expect(g.enemyShots).toHaveLength(0);
+      expect(hasAnyPower(g.frog)).toBe(true);
+      clearAllPowers(g.frog);
+    }
+  });
+
+  it('uses up a shield hit', () => {
+    activatePower(g.frog, 'shield');
+    placeShotOnFrog(g);
+    step(g);
+
+    expect(g.frog.hasShield).toBe(true);
+    expect(g.frog.shieldHits).toBe(1);
+    expect(g.enemyShots).toHaveLength(0);
+  });
+
+  it('costs the active power instead of the run', () => {
+    activatePower(g.frog, 'magnet');
+    placeShotOnFrog(g);
+    step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(hasAnyPower(g.frog)).toBe(false);
+    expect(g.frog.invincible).toBe(true);
+  });
+
+  it('spends a life in lives mode', () => {
+    g = createTestState(LIVES_MODE_LIVES);
+    placeShotOnFrog(g);
+    const events = step(g);
+
+    expect(g.gameOver).toBe(false);
+    expect(events).toContainEqual({ type: 'lifelost', lives: LIVES_MODE_LIVES - 1 });
+  });
+
+  it('can be shot down by frog bullets for a bonus', () => {
+    const shot = { x: 100, y: g.frog.y - 300, vx: 0, vy: 0, width: ENEMY_SHOT_SIZE, height: ENEMY_SHOT_SIZE };
+    g.enemyShots.push(shot);
+    g.bullets.push({ x: shot.x + 6, y: shot.y + 6, vx: 0, vy: 0 });
+    const score = g.score;
+    step(g);
+
+    expect(g.enemyShots).toHaveLength(0);
+    expect(g.bullets).toHaveLength(0);
+    expect(g.score).toBeGreaterThan(score);
+  });
+});
+
+// ============== ANALOG MOVEMENT ==============
+
+describe('analog movement', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('scales the move speed with the stick', () => {
+    update(g, { ...NO_INPUT, move: -0.5 });
+
+    expect(g.frog.vx).toBe(-MOVE_SPEED / 2);
+    expect(g.frog.facing).toBe(-1);
+  });
+
+  it('takes over from the digital directions', () => {
+    update(g, { left: true, right: false, shoot: false, move: 0.25 });
+
+    expect(g.frog.vx).toBe(MOVE_SPEED / 4);
+    expect(g.frog.facing).toBe(1);
+  });
+
+  it('rounds to whole analog steps', () => {
+    update(g, { ...NO_INPUT, move: 0.52 });
+
+    expect(g.frog.vx).toBeCloseTo(MOVE_SPEED * 0.5);
+  });
+});
+
+// ============== ANIMATION TIMESTAMPS ==============
+
+describe('animation timestamps', () => {
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('stamps the landing and the jump on the same step', () => {
+    step(g);
+
+    expect(g.frog.landStart).toBe(g.time);
+    expect(g.frog.jumpStart).toBe(g.time);
+  });
+
+  it('stamps a hit that costs a power-up', () => {
+    activatePower(g.frog, 'magnet');
+    placeEnemyOnFrog(g);
+    step(g);
+
+    expect(g.frog.hitStart).toBe(g.time);
+  });
+});
+
+// ============== TONGUE LASH ==============
+
+describe('tongue lash', () => {
+  const SHOOT = { left: false, right: false, shoot: true };
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  // Step with SPACE held, keeping the targets level with the frog's mouth
+  const lash = (targets, frames = TONGUE_LASH_STEPS / 2) => {
+    const events = [];
+    for (let i = 0; i < frames; i++) {
+      for (const target of targets) placeInFrontOfFrog(g, target);
+      events.push(...update(g, SHOOT));
+    }
+    return events;
+  };
+
+  it('kills an enemy in front of the frog', () => {
+    const enemy = { ...createEnemy('spiky', 0, 0), vx: 0 };
+    g.enemies.push(enemy);
+    const events = lash([enemy]);
+
+    expect(g.enemies).toHaveLength(0);
+    expect(g.enemiesKilled).toBe(1);
+    expect(events).toContainEqual({ type: 'kill', by: 'tongue' });
+  });
+
+  it('grabs gems and power-ups within reach', () => {
+    const gem = { width: 30, height: 40, type: 'purple', collected: false, animFrame: 0 };
+    const powerup = { width: 40, height: 50, type: 'magnet', collected: false, animFrame: 0 };
+    g.gems.push(gem);
+    g.powerups.push(powerup);
+    lash([gem, powerup]);
+
+    expect(g.gemsCollected).toBe(1);
+    expect(g.frog.hasMagnet).toBe(true);
+  });
+
+  it('does not reach things behind the frog', () => {
+    const enemy = { ...createEnemy('spiky', 0, 0), vx: 0 };
+    g.enemies.push(enemy);
+    for (let i = 0; i < TONGUE_LASH_STEPS / 2; i++) {
+      placeInFrontOfFrog(g, enemy);
+      enemy.x = g.frog.x - (enemy.x - g.frog.x) - enemy.width + g.frog.width;
+      update(g, SHOOT);
+    }
+
+    expect(g.enemies).toHaveLength(1);
+  });
+
+  it('waits for its cooldown before lashing again', () => {
+    update(g, SHOOT);
+    expect(g.frog.tongueTimer).toBeGreaterThan(0);
+
+    step(g, TONGUE_LASH_STEPS);
+    update(g, SHOOT);
+    expect(g.frog.tongueTimer).toBe(0);
+  });
+
+  it('fires the weapon instead when one is active', () => {
+    activatePower(g.frog, 'laser');
+    update(g, SHOOT);
+
+    expect(g.frog.tongueTimer).toBe(0);
+    expect(g.bullets).toHaveLength(1);
+  });
+});
+
+// ============== SOUND EVENTS ==============
+
+describe('sound events', () => {
+  const SHOOT = { left: false, right: false, shoot: true };
+  let g;
+  beforeEach(() => {
+    g = createTestState();
+  });
+
+  it('reports a jump with the platform type', () => {
+    const events = step(g);
+
+    expect(events).toContainEqual({ type: 'jump', platform: 'normal' });
+  });
+
+  it('reports power-up pickups and their activation', () => {
+    placePowerupOnFrog(g, 'rocket');
+    const events = step(g);
+
+    expect(events).toContainEqual({ type: 'powerup', power: 'rocket', queued: false });
+    expect(events).toContainEqual({ type: 'activate', power: 'rocket' });
+  });
+
+  it('reports a queued power-up when it activates, not when it is picked up', () => {
+    activatePower(g.frog, 'magnet');
+    step(g);
+    placePowerupOnFrog(g, 'cape');
+    const pickup = step(g);
+
+    expect(pickup).toContainEqual({ type: 'powerup', power: 'cape', queued: true });
+    expect(pickup.filter(e => e.type === 'activate')).toEqual([]);
+
+    const events = step(g, g.frog.magnetTimer);
+    expect(events).toContainEqual({ type: 'activate', power: 'cape' });
+  });
+
+  it('reports the character start power on the first step', () => {
+    const farmer = createGameState(1, undefined, { character: 'farmer' });
+
+    expect(step(farmer)).toContainEqual({ type: 'activate', power: 'magnet' });
+  });
+
+  it('reports each shot with the weapon that fired it', () => {
+    activatePower(g.frog, 'shotgun');
+    const events = step(g, 1, SHOOT);
+
+    expect(events.filter(e => e.type === 'shoot')).toEqual([{ type: 'shoot', weapon: 'shotgun' }]);
+  });
+
+  it('reports shield hits and when the shield breaks', () => {
+    activatePower(g.frog, 'shield');
+    placeEnemyOnFrog(g);
+    expect(step(g)).toContainEqual({ type: 'shield', broken: false });
+
+    placeEnemyOnFrog(g);
+    expect(step(g)).toContainEqual({ type: 'shield', broken: true });
+  });
+
+  it('reports a fall rescue', () => {
+    activatePower(g.frog, 'cape');
+    dropFrog(g);
+
+    expect(step(g)).toContainEqual({ type: 'rescue' });
+  });
+});
+
+// ============== GEM PICKUP ==============
+
+describe('gem pickup', () => {
+  it('tags the pickup particles with the gem type so palettes can recolour them', () => {
+    const g = createTestState();
+    g.gems.push({ x: g.frog.x + 10, y: nextFrogY(g), width: 30, height: 40, type: 'orange', collected: false, animFrame: 0 });
+    step(g);
+
+    expect(g.gemsCollected).toBe(1);
+    expect(g.particles.some(p => p.gem === 'orange')).toBe(true);
+  });
+});
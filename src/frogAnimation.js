@@ -0,0 +1,81 @@
+// ============== FROG ANIMATION ==============
+// Pose state machine for drawing the frog. The state is worked out from the
+// engine's frog every frame, checking states in priority order:
+//
+//   hit          just took a hit (shield, lost power, fall rescue)
+//   powered      carried by the Rocket or Propeller
+//   land-squash  just landed on a platform (the jump starts at the same time)
+//   idle         standing still (start platform, respawn)
+//   glide        falling with the Cape
+//   jump-up / apex / fall  rising, near the top of the jump, falling
+//
+// The engine stamps landStart/hitStart in game time, so timed states last
+// the same whatever the display rate. Facing comes from the frog's last
+// horizontal input (frog.facing).
+
+import { JUMP_FORCE } from './engine.js';
+
+export const FROG_IDLE = 'idle';
+export const FROG_JUMP_UP = 'jump-up';
+export const FROG_APEX = 'apex';
+export const FROG_FALL = 'fall';
+export const FROG_LAND = 'land-squash';
+export const FROG_GLIDE = 'glide';
+export const FROG_POWERED = 'powered';
+export const FROG_HIT = 'hit';
+
+// Seconds
+const LAND_SQUASH_DURATION = 0.12;
+const HIT_DURATION = 0.5;
+
+const APEX_SPEED = 2; // |vy| below this counts as the top of the jump
+const MAX_FALL_SPEED = 15; // for scaling the falling stretch
+
+// Airborne states show the frog turned to the side it faces
+const SIDE_STATES = new Set([FROG_JUMP_UP, FROG_APEX, FROG_FALL, FROG_GLIDE, FROG_POWERED]);
+
+// { state, elapsed }: elapsed is seconds into a timed state (land, hit), else 0
+export const getFrogPose = (frog, time) => {
+  if (time - frog.hitStart < HIT_DURATION) return { state: FROG_HIT, elapsed: time - frog.hitStart };
+  if (frog.hasRocket || frog.hasPropeller) return { state: FROG_POWERED, elapsed: 0 };
+  if (time - frog.landStart < LAND_SQUASH_DURATION) return { state: FROG_LAND, elapsed: time - frog.landStart };
+  if (frog.vy === 0) return { state: FROG_IDLE, elapsed: 0 };
+  if (frog.hasCape && frog.vy > APEX_SPEED) return { state: FROG_GLIDE, elapsed: 0 };
+  if (frog.vy < -APEX_SPEED) return { state: FROG_JUMP_UP, elapsed: 0 };
+  if (frog.vy > APEX_SPEED) return { state: FROG_FALL, elapsed: 0 };
+  return { state: FROG_APEX, elapsed: 0 };
+};
+
+export const getFacingSide = (frog) => (frog.facing < 0 ? 'left' : 'right');
+
+export const isSidePose = (pose) => SIDE_STATES.has(pose.state);
+
+// Squash/stretch for the pose as { scaleX, scaleY }, applied around the feet
+export const getSquashStretch = (pose, frog, time) => {
+  switch (pose.state) {
+    case FROG_IDLE: {
+      const breath = Math.sin(time * 4) * 0.02;
+      return { scaleX: 1 - breath, scaleY: 1 + breath };
+    }
+    case FROG_LAND: {
+      const amount = 0.25 * (1 - pose.elapsed / LAND_SQUASH_DURATION);
+      return { scaleX: 1 + amount, scaleY: 1 - amount };
+    }
+    case FROG_JUMP_UP: {
+      const amount = 0.12 * Math.min(1, frog.vy / JUMP_FORCE);
+      return { scaleX: 1 - amount, scaleY: 1 + amount };
+    }
+    case FROG_FALL: {
+      const amount = 0.08 * Math.min(1, frog.vy / MAX_FALL_SPEED);
+      return { scaleX: 1 - amount, scaleY: 1 + amount };
+    }
+    case FROG_GLIDE:
+      return { scaleX: 1.1, scaleY: 0.92 };
+    case FROG_HIT: {
+      const wobble = Math.sin(pose.elapsed * 40) * 0.12 * (1 - pose.elapsed / HIT_DURATION);
+      return { scaleX: 1 + wobble, scaleY: 1 - wobble };
+    }
+    default:
+      return { scaleX: 1, scaleY: 1 };
+  }
+};
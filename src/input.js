@@ -0,0 +1,75 @@
+// ============== INPUT ==============
+// One input layer for every device. Keyboard keys and gamepad buttons map to
+// actions through the player's bindings (see controls.js); on-screen buttons,
+// tilt steering and the gamepad's analog stick add to them. mergeInputs
+// turns it all into the engine's per-step input { left, right, shoot, move }.
+
+import { ANALOG_STEPS } from './engine.js';
+
+export const ACTIONS = ['left', 'right', 'shoot', 'pause', 'mute'];
+
+export const ACTION_LABELS = {
+  left: 'Move left',
+  right: 'Move right',
+  shoot: 'Tongue / fire',
+  pause: 'Pause',
+  mute: 'Mute sound'
+};
+
+const GAMEPAD_DEADZONE = 0.2;
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_BUTTON_LABELS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+];
+
+const KEY_LABELS = { ' ': 'Space', arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓', escape: 'Esc' };
+
+// ============== KEYBOARD ==============
+
+// Keys are KeyboardEvent.key, lowercased
+export const getKeyAction = (bindings, key) => ACTIONS.find(action => bindings.keys[action].includes(key)) ?? null;
+
+export const getKeyLabel = (key) => KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+
+// ============== GAMEPAD ==============
+
+export const getButtonLabel = (index) => GAMEPAD_BUTTON_LABELS[index] ?? `Button ${index}`;
+
+// Stick position past the deadzone, rescaled to -1…1 (0 inside it)
+export const applyDeadzone = (value, deadzone = GAMEPAD_DEADZONE) => {
+  const magnitude = Math.abs(value);
+  if (magnitude < deadzone) return 0;
+  return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+};
+
+// State of the first connected gamepad, or null when there is none:
+//   held: action -> bound button down; stick: left stick x after the
+//   deadzone; buttons: pressed flag per button (for rebinding)
+export const readGamepad = (bindings) => {
+  const pad = Array.from(navigator.getGamepads?.() ?? []).find(Boolean);
+  if (!pad) return null;
+
+  const buttons = pad.buttons.map(button => button.pressed);
+  const held = {};
+  for (const action of ACTIONS) held[action] = bindings.gamepad[action].some(index => buttons[index]);
+  return { held, stick: applyDeadzone(pad.axes[0] ?? 0), buttons };
+};
+
+// ============== MERGING ==============
+
+// Any device can hold an action down. A tilted stick moves the frog at a
+// speed proportional to the tilt (move), which the engine prefers over the
+// digital directions, so it is only sent while no direction is held and the
+// tilt is at least one analog step (the engine rounds smaller ones to a stop).
+export const mergeInputs = ({ keys, touch, tilt, gamepad }) => {
+  const input = {
+    left: keys.left || touch.left || tilt.left || Boolean(gamepad?.held.left),
+    right: keys.right || touch.right || tilt.right || Boolean(gamepad?.held.right),
+    shoot: keys.shoot || touch.shoot || Boolean(gamepad?.held.shoot)
+  };
+  const stick = gamepad?.stick ?? 0;
+  if (!input.left && !input.right && Math.round(stick * ANALOG_STEPS) !== 0) input.move = stick;
+  return input;
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { MOVE_SPEED, createGameState, update } from './engine.js';
+import { applyDeadzone, getKeyAction, mergeInputs } from './input.js';
+import { DEFAULT_BINDINGS } from './controls.js';
+
+// ============== HELPERS ==============
+
+const NO_INPUT = { left: false, right: false, shoot: false };
+
+// Keys held on the keyboard plus a gamepad stick reading, merged from every device
+const mergeWithStick = (keys, stick) => mergeInputs({
+  keys: { ...NO_INPUT, ...keys },
+  touch: NO_INPUT,
+  tilt: { left: false, right: false },
+  gamepad: { held: { left: false, right: false, shoot: false }, stick }
+});
+
+// ============== BINDINGS ==============
+
+describe('key bindings', () => {
+  it('maps bound keys to their action', () => {
+    expect(getKeyAction(DEFAULT_BINDINGS, 'a')).toBe('left');
+    expect(getKeyAction(DEFAULT_BINDINGS, ' ')).toBe('shoot');
+    expect(getKeyAction(DEFAULT_BINDINGS, 'q')).toBeNull();
+  });
+});
+
+// ============== GAMEPAD ==============
+
+describe('gamepad stick', () => {
+  it('reads zero inside the deadzone and rescales past it', () => {
+    expect(applyDeadzone(0.1)).toBe(0);
+    expect(applyDeadzone(-1)).toBe(-1);
+    expect(applyDeadzone(0.6)).toBeCloseTo(0.5);
+  });
+});
+
+// ============== MERGING ==============
+
+describe('merged input', () => {
+  it('holds an action down from any device', () => {
+    const input = mergeInputs({
+      keys: NO_INPUT,
+      touch: { ...NO_INPUT, shoot: true },
+      tilt: { left: true, right: false },
+      gamepad: null
+    });
+
+    expect(input).toEqual({ left: true, right: false, shoot: true });
+  });
+
+  it('keeps a held key at full speed while the stick reads a small value', () => {
+    const g = createGameState(1);
+    update(g, mergeWithStick({ left: true }, 0.3));
+
+    expect(g.frog.vx).toBe(-MOVE_SPEED);
+    expect(g.frog.facing).toBe(-1);
+  });
+
+  it('ignores stick readings below one analog step', () => {
+    expect(mergeWithStick({}, 0.02).move).toBeUndefined();
+    expect(mergeWithStick({}, 0.4).move).toBe(0.4);
+  });
+});
@@ -1,76 +1,89 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { loadAtlases, findRegion, drawRegion, drawRegionAnchored, drawRegionFilled } from './atlas.js';
+import { getAtlasAnimation, getKeyFrame, ANIMATION_ONCE, ANIMATION_PING_PONG } from './animation.js';
+import { getLevelConfig, LEVEL_BANNER_DURATION } from './levels.js';
+import { randomSeed, getDailySeed, getDateKey } from './random.js';
+import {
+  CANVAS_WIDTH, CANVAS_HEIGHT, PHYSICS_HZ, MAGNET_RANGE, POWER_CONFIG,
+  MODE_CLASSIC, MODE_DAILY, LIVES_MODE_LIVES, TONGUE_THICKNESS, isOnScreen, hasAnyPower, hasWeapon,
+  getTongueOrigin, getTongueLength, createGameState, update
+} from './engine.js';
+import { createRecording, recordFrame, createPlayback, nextPlaybackInput, exportReplay, importReplay } from './replay.js';
+import {
+  loadLeaderboard, saveLeaderboard, getHighScore, qualifiesForLeaderboard, createLeaderboardEntry,
+  addLeaderboardEntry, normalizeName, loadPlayerName, savePlayerName, MAX_NAME_LENGTH
+} from './leaderboard.js';
+import {
+  ACHIEVEMENTS, loadAchievements, saveAchievements, startAchievementRun, applyAchievementEvents, isUnlocked,
+  getAchievementValue
+} from './achievements.js';
+import { FROG_SKINS, getSkin, loadShop, saveShop, addGems, ownsSkin, canBuySkin, buySkin, equipSkin } from './shop.js';
+import { getCharacterPerks } from './characters.js';
+import {
+  loadControls, saveControls, isTouchDevice, hasTiltSupport, requestTiltPermission, getTiltInput, bindAction,
+  DEFAULT_BINDINGS, TILT_SENSITIVITY_MIN, TILT_SENSITIVITY_MAX
+} from './controls.js';
+import {
+  ACTIONS, ACTION_LABELS, getKeyAction, getKeyLabel, getButtonLabel, readGamepad, mergeInputs
+} from './input.js';
+import {
+  FROG_JUMP_UP, FROG_FALL, FROG_GLIDE, FROG_POWERED, FROG_HIT,
+  getFrogPose, getFacingSide, isSidePose, getSquashStretch
+} from './frogAnimation.js';
+import {
+  loadAudioSettings, saveAudioSettings, createAudio, applyAudioSettings, unlockAudio, playEventSound, startMusic, stopMusic
+} from './audio.js';
+import { HUD_SCALES, GEM_PALETTES, loadSettings, saveSettings, getGemColors } from './settings.js';
+import {
+  createViewport, getBackingSize, getWorldRect, getVisibleArea, applyWorldTransform, toWorld
+} from './viewport.js';
+import AtlasImage from './atlasImage.jsx';
 
 // ============== CONSTANTS ==============
-const CANVAS_WIDTH = 400;
-const CANVAS_HEIGHT = 700;
-const GRAVITY = 0.4;
-const JUMP_FORCE = -14;
-const MOVE_SPEED = 6;
-
-// Power-up specific constants
-const ROCKET_SPEED = -20;
-const PROPELLER_SPEED = -8;
-const CAPE_GRAVITY = 0.08;
-const CAPE_MAX_FALL_SPEED = 2;
-const SPRING_SHOES_JUMP_MULTIPLIER = 1.6;
-const MAGNET_RANGE = 150;
-const MAGNET_PULL_SPEED = 8;
-const SUMO_BOUNCE_FORCE = -18;
-const INVINCIBILITY_DURATION = 90; // 1.5 seconds at 60fps
-
-const GEM_VALUES = { blue: 10, orange: 25, purple: 50 };
-
-const PLATFORM_COLORS = [
-  { top: '#ff6b9d', bottom: '#ff4081' },
-  { top: '#9cff6b', bottom: '#69f0ae' },
-  { top: '#6bffff', bottom: '#40c4ff' },
-  { top: '#ffeb3b', bottom: '#ffc107' },
-  { top: '#ff9800', bottom: '#ff5722' },
-  { top: '#e040fb', bottom: '#aa00ff' }
-];
-
-const GEM_COLORS = {
-  blue: { main: '#00FFFF', glow: '#40C4FF' },
-  orange: { main: '#FF6B00', glow: '#FF9800' },
-  purple: { main: '#9C27B0', glow: '#E040FB' }
-};
-
-// Power-up configurations - PERSISTENT vs TIMED
-// Persistent: no timer, lost via enemy hit, replacement, or fall-rescue
-// Timed: duration-based, expires automatically
-const POWER_CONFIG = {
-  rocket:     { duration: 90, persistent: false },
-  cape:       { persistent: true },  // Gliding, lost on hit/replacement/fall-rescue
-  spring:     { instant: true },      // Immediate jump boost
-  shield:     { persistent: true, maxHits: 2 }, // Absorbs 2 hits
-  propeller:  { duration: 150, persistent: false },
-  springShoes:{ jumps: 5, persistent: false },
-  magnet:     { duration: 360, persistent: false },
-  sumo:       { duration: 150, persistent: false }, // Bounce-kills enemies
-  laser:      { persistent: true, cooldown: 15 },   // Auto-targeting
-  shotgun:    { persistent: true, cooldown: 40 },   // 3-way spread
-  tommyGun:   { persistent: true, cooldown: 5 }     // Rapid fire
-};
 
-// Power-up types and their spawn weights
-const POWERUP_TYPES = ['rocket', 'cape', 'spring', 'shield', 'propeller', 'springShoes', 'magnet', 'sumo', 'laser', 'shotgun', 'tommyGun'];
-const POWERUP_WEIGHTS = [12, 10, 12, 8, 10, 10, 10, 8, 6, 6, 8];
+// Fixed-timestep loop: the engine steps at PHYSICS_HZ whatever the display
+// refresh rate, and drawing interpolates between steps
+const FIXED_STEP_MS = 1000 / PHYSICS_HZ;
+const MAX_CATCH_UP_STEPS = 5; // after a stall (e.g. background tab) drop the rest
+const MAX_FRAME_DELTA_MS = 250;
+
+// "Ready… Go!" start sequence, in fixed steps; physics starts after it
+const READY_STEPS = 60;
+const GO_STEPS = 40;
+const COUNTDOWN_STEPS = READY_STEPS + GO_STEPS;
+const COUNTDOWN_SCALE = 0.7; // ready-txt is wider than the canvas
+
+const ACHIEVEMENT_TOAST_MS = 3000;
+const LIFE_LOST_STEPS = 90; // how long the "life lost" banner shows
+const LIFE_ICON_SIZE = 24;
+const FPS_SAMPLE_MS = 500; // how often the FPS counter updates
+
+// Atlas sprite settings
+const FROG_SPRITE_SCALE = 0.8; // 171px atlas frames -> ~70px frog
+const GEM_REGIONS = { blue: 'ruby-b', orange: 'ruby-c', purple: 'ruby' };
+
+// Atlas animation settings (frames per second)
+const GEM_SPIN_FPS = 15;
+const FROG_JUMP_FPS = 12;
+const TONGUE_DURATION = 0.4; // seconds the tongue stays out after eating a gem
+const SHOOTER_FLASH_DURATION = 0.15; // seconds a shooter's barrel flashes after firing
+const SKY_REGIONS = 'sky1.{n}-sequence';
+const SKY_FPS = 1 / 20; // one sky shade every 20 seconds
 
 // ============== UTILITY FUNCTIONS ==============
 
-const checkCollision = (a, b, padding = 0) => (
-  a.x + padding < b.x + b.width - padding &&
-  a.x + a.width - padding > b.x + padding &&
-  a.y + padding < b.y + b.height - padding &&
-  a.y + a.height - padding > b.y + padding
+// Blend the previous physics step into the current one; entities created
+// during the last step have no previous position yet
+const interpolate = (previous, current, alpha) => (
+  previous === undefined ? current : previous + (current - previous) * alpha
 );
 
-const isOnScreen = (entityY, cameraY, buffer = 50) => {
-  const screenY = entityY - cameraY;
-  return screenY > -buffer && screenY < CANVAS_HEIGHT + buffer;
-};
-
-const getDistance = (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+// Same, but a jump of more than half the screen (screen wrap) is not blended
+const interpolateX = (previous, current, alpha) => (
+  previous === undefined || Math.abs(current - previous) > CANVAS_WIDTH / 2
+    ? current
+    : previous + (current - previous) * alpha
+);
 
 const drawGlow = (ctx, x, y, radius, color, alpha = 0.5) => {
   const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
@@ -115,318 +128,373 @@ const drawShadow = (ctx, x, y, width, height, offsetX = 3, offsetY = 3) => {
   ctx.fillRect(x + offsetX, y + offsetY, width, height);
 };
 
-const randomRange = (min, max) => min + Math.random() * (max - min);
-const randomChoice = (arr) => arr[Math.floor(Math.random() * arr.length)];
-const randomSign = () => Math.random() > 0.5 ? 1 : -1;
-
-// Weighted random selection
-const weightedRandom = (items, weights) => {
-  const totalWeight = weights.reduce((a, b) => a + b, 0);
-  let random = Math.random() * totalWeight;
-  for (let i = 0; i < items.length; i++) {
-    random -= weights[i];
-    if (random <= 0) return items[i];
-  }
-  return items[items.length - 1];
-};
-
-// Check if frog has any active power-up
-const hasAnyPower = (frog) => {
-  return frog.hasRocket || frog.hasCape || frog.hasShield || frog.hasPropeller ||
-         frog.hasSpringShoes || frog.hasMagnet || frog.hasSumo ||
-         frog.hasLaser || frog.hasShotgun || frog.hasTommyGun;
-};
-
-// Check if frog has a persistent power (for fall-rescue)
-const hasPersistentPower = (frog) => {
-  return frog.hasCape || frog.hasShield || frog.hasLaser || frog.hasShotgun || frog.hasTommyGun;
-};
-
-// Check if frog has a weapon (for manual shooting)
-const hasWeapon = (frog) => {
-  return frog.hasLaser || frog.hasShotgun || frog.hasTommyGun;
-};
-
-// Clear all power states (does NOT clear queue)
-const clearAllPowers = (frog) => {
-  frog.hasRocket = false;
-  frog.rocketTimer = 0;
-  frog.hasCape = false;
-  frog.hasShield = false;
-  frog.shieldHits = 0;
-  frog.hasPropeller = false;
-  frog.propellerTimer = 0;
-  frog.hasSpringShoes = false;
-  frog.springShoesJumps = 0;
-  frog.hasMagnet = false;
-  frog.magnetTimer = 0;
-  frog.hasSumo = false;
-  frog.sumoTimer = 0;
-  frog.hasLaser = false;
-  frog.hasShotgun = false;
-  frog.hasTommyGun = false;
-  frog.weaponCooldown = 0;
-};
-
-// Activate a specific power-up on the frog
-const activatePower = (frog, powerType) => {
-  switch (powerType) {
-    case 'rocket':
-      frog.hasRocket = true;
-      frog.rocketTimer = POWER_CONFIG.rocket.duration;
-      break;
-    case 'cape':
-      frog.hasCape = true;
-      break;
-    case 'spring':
-      frog.vy = JUMP_FORCE * 2.5;
-      break;
-    case 'shield':
-      frog.hasShield = true;
-      frog.shieldHits = 0;
-      break;
-    case 'propeller':
-      frog.hasPropeller = true;
-      frog.propellerTimer = POWER_CONFIG.propeller.duration;
-      break;
-    case 'springShoes':
-      frog.hasSpringShoes = true;
-      frog.springShoesJumps = POWER_CONFIG.springShoes.jumps;
-      break;
-    case 'magnet':
-      frog.hasMagnet = true;
-      frog.magnetTimer = POWER_CONFIG.magnet.duration;
-      break;
-    case 'sumo':
-      frog.hasSumo = true;
-      frog.sumoTimer = POWER_CONFIG.sumo.duration;
-      break;
-    case 'laser':
-      frog.hasLaser = true;
-      frog.weaponCooldown = 0;
-      break;
-    case 'shotgun':
-      frog.hasShotgun = true;
-      frog.weaponCooldown = 0;
-      break;
-    case 'tommyGun':
-      frog.hasTommyGun = true;
-      frog.weaponCooldown = 0;
-      break;
-  }
-};
-
-// Activate the next power-up from the queue (if any)
-const activateNextQueuedPower = (frog) => {
-  if (frog.powerQueue.length > 0) {
-    const nextPower = frog.powerQueue.shift();
-    activatePower(frog, nextPower);
-    return true;
-  }
-  return false;
-};
-
 // ============== MAIN COMPONENT ==============
 export default function JumpyFrog() {
   const canvasRef = useRef(null);
+  // The canvas fills the stage; the viewport maps the world onto it (see
+  // viewport.js) and is mirrored into a ref for the draw code
+  const stageRef = useRef(null);
+  const [viewport, setViewport] = useState(() => createViewport(CANVAS_WIDTH, CANVAS_HEIGHT));
+  const viewportRef = useRef(viewport);
   const [gameState, setGameState] = useState('menu');
   const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(0);
-
-  const gameRef = useRef({
-    frog: createFrog(),
-    platforms: [],
-    gems: [],
-    enemies: [],
-    clouds: [],
-    powerups: [],
-    bullets: [],
-    particles: [],
-    cameraY: 0,
-    sunRotation: 0,
-    keys: { left: false, right: false, shoot: false },
-    score: 0
-  });
+  const [leaderboard, setLeaderboard] = useState(loadLeaderboard);
+  const [highScore, setHighScore] = useState(() => getHighScore(leaderboard));
+  // Best score before the current run, so only beating it counts as new
+  const [previousBest, setPreviousBest] = useState(highScore);
+
+  // Engine state for the current run (see engine.js)
+  const gameRef = useRef(createGameState());
+  // Keyboard state, and the pointers holding each on-screen button down (one
+  // set per control, so several fingers never release each other's buttons)
+  const keysRef = useRef({ left: false, right: false, shoot: false });
+  const touchRef = useRef({ left: new Set(), right: new Set(), shoot: new Set() });
+  // Latest device tilt (DeviceOrientation gamma), null until one arrives
+  const tiltRef = useRef(null);
+  // Latest gamepad state (see readGamepad), polled every frame
+  const gamepadRef = useRef(null);
+  // Recording of the current run, and the replay being watched (if any)
+  const replayRef = useRef({ recording: createRecording(0, MODE_CLASSIC), playback: null });
 
   const gameStateRef = useRef(gameState);
+  // Steps elapsed in the Ready/Go sequence
+  const countdownRef = useRef(0);
+  // State to go back to on resume: 'playing', or 'starting' mid-countdown
+  const pausedFromRef = useRef('playing');
+  const atlasRef = useRef(null);
+  const [atlas, setAtlas] = useState(null);
+  const [gameMode, setGameMode] = useState(MODE_CLASSIC);
+  const [watchingReplay, setWatchingReplay] = useState(false);
+  const [replayCode, setReplayCode] = useState('');
+  const [showReplayImport, setShowReplayImport] = useState(false);
+  const [replayError, setReplayError] = useState('');
+  const replayInputRef = useRef(null);
+  // Stats of the run that just ended, and its leaderboard entry once named
+  const [lastRun, setLastRun] = useState(null);
+  const [savedEntry, setSavedEntry] = useState(null);
+  const [playerName, setPlayerName] = useState(loadPlayerName);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  // Achievement progress is mutated in place by the game loop
+  const [achievements] = useState(loadAchievements);
+  const [achievementToasts, setAchievementToasts] = useState([]);
+  const [showAchievements, setShowAchievements] = useState(false);
+  // Lives mode toggle on the menu, and steps left on the "life lost" banner
+  const [livesMode, setLivesMode] = useState(false);
+  // Gem wallet and skins; the equipped skin's atlas name is mirrored into a
+  // ref for the draw code
+  const [shop, setShop] = useState(loadShop);
+  const [showShop, setShowShop] = useState(false);
+  const [showCharacters, setShowCharacters] = useState(false);
+  const skinRef = useRef(getSkin(shop.equipped).region);
+  const lifeLostRef = useRef(0);
+  // Touch/tilt settings; mirrored into a ref for the game loop
+  const [controls, setControls] = useState(loadControls);
+  const [showControls, setShowControls] = useState(false);
+  const [tiltError, setTiltError] = useState('');
+  const controlsRef = useRef(controls);
+  // Action waiting for a new key or button: { device: 'keys' | 'gamepad', action }
+  const [rebinding, setRebinding] = useState(null);
+  const rebindingRef = useRef(null);
+  const [touchDevice] = useState(isTouchDevice);
+  // Volumes and mute; the audio graph itself is created on the first gesture
+  const [audioSettings, setAudioSettings] = useState(loadAudioSettings);
+  const [audio] = useState(() => createAudio(audioSettings));
+  // Display preferences (settings.js); mirrored into a ref for the draw code
+  const [settings, setSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const settingsRef = useRef(settings);
+
+  // options: { lives, character }, see createGameState
+  const initGame = useCallback((seed = randomSeed(), mode = MODE_CLASSIC, options = {}) => {
+    gameRef.current = createGameState(seed, mode, options);
+    replayRef.current = { recording: createRecording(seed, mode, options), playback: null };
+    lifeLostRef.current = 0;
+    setScore(0);
+  }, []);
 
-  function createFrog() {
-    return {
-      x: CANVAS_WIDTH / 2 - 30,
-      y: 500,
-      vx: 0,
-      vy: 0,
-      width: 60,
-      height: 70,
-      // Timed power-ups
-      hasRocket: false,
-      rocketTimer: 0,
-      hasPropeller: false,
-      propellerTimer: 0,
-      propellerAngle: 0,
-      hasSpringShoes: false,
-      springShoesJumps: 0,
-      hasMagnet: false,
-      magnetTimer: 0,
-      hasSumo: false,
-      sumoTimer: 0,
-      // Persistent power-ups
-      hasCape: false,
-      hasShield: false,
-      shieldHits: 0,
-      hasLaser: false,
-      hasShotgun: false,
-      hasTommyGun: false,
-      weaponCooldown: 0,
-      // Mario-style invincibility
-      invincible: false,
-      invincibleTimer: 0,
-      flashTimer: 0,
-      // Power-up queue (collected powers waiting to activate)
-      powerQueue: []
-    };
-  }
+  useEffect(() => {
+    gameStateRef.current = gameState;
+  }, [gameState]);
 
-  const generatePlatform = useCallback((y, platforms, gems, enemies, powerups) => {
-    const typeRoll = Math.random();
-    let platformType = 'normal';
-    let vx = 0;
-
-    if (typeRoll > 0.85) {
-      platformType = 'moving';
-      vx = randomSign() * randomRange(1, 3);
-    } else if (typeRoll > 0.75) {
-      platformType = 'breakable';
-    } else if (typeRoll > 0.65) {
-      platformType = 'spring';
-    }
+  // Start a run; daily challenge runs always use today's seed
+  const startGame = useCallback((mode = MODE_CLASSIC) => {
+    initGame(mode === MODE_DAILY ? getDailySeed() : randomSeed(), mode, {
+      lives: livesMode ? LIVES_MODE_LIVES : 1,
+      character: shop.equipped
+    });
+    startAchievementRun(achievements);
+    setPreviousBest(highScore);
+    setGameMode(mode);
+    setWatchingReplay(false);
+    setReplayCode('');
+    setLastRun(null);
+    setSavedEntry(null);
+    setShowLeaderboard(false);
+    setShowAchievements(false);
+    setShowShop(false);
+    setShowCharacters(false);
+    setShowControls(false);
+    setShowSettings(false);
+    countdownRef.current = 0;
+    setGameState('starting');
+  }, [initGame, achievements, livesMode, shop.equipped, highScore]);
+
+  // Re-run a recorded game: same seed, inputs fed from the recording
+  const startReplay = useCallback((replay) => {
+    initGame(replay.seed, replay.mode, { lives: replay.lives, character: replay.character });
+    replayRef.current.playback = createPlayback(replay);
+    setGameMode(replay.mode);
+    setWatchingReplay(true);
+    setReplayCode('');
+    setLastRun(null);
+    setSavedEntry(null);
+    setShowLeaderboard(false);
+    setShowAchievements(false);
+    setShowShop(false);
+    setShowCharacters(false);
+    setShowControls(false);
+    setShowSettings(false);
+    countdownRef.current = 0;
+    setGameState('starting');
+  }, [initGame]);
 
-    const platform = {
-      x: randomRange(20, CANVAS_WIDTH - 100),
-      y,
-      width: randomRange(70, 100),
-      height: 18,
-      type: platformType,
-      color: randomChoice(PLATFORM_COLORS),
-      vx,
-      broken: false
-    };
-    platforms.push(platform);
-
-    // Spawn gem
-    if (Math.random() > 0.55) {
-      const gemRoll = Math.random();
-      const gemType = gemRoll > 0.9 ? 'purple' : gemRoll > 0.6 ? 'orange' : 'blue';
-      gems.push({
-        x: platform.x + platform.width / 2 - 15,
-        y: platform.y - 50,
-        width: 30,
-        height: 40,
-        type: gemType,
-        collected: false,
-        animFrame: Math.random() * Math.PI * 2
-      });
+  const handleExportReplay = () => {
+    const code = exportReplay(replayRef.current.recording);
+    setReplayCode(code);
+    navigator.clipboard?.writeText(code).catch(() => {});
+  };
+
+  const handleImportReplay = (text) => {
+    try {
+      const replay = importReplay(text);
+      setReplayError('');
+      setShowReplayImport(false);
+      startReplay(replay);
+    } catch (err) {
+      setReplayError(err.message);
     }
+  };
 
-    // Spawn enemy
-    if (Math.random() > 0.92 && y < -500) {
-      enemies.push({
-        x: randomRange(0, CANVAS_WIDTH - 50),
-        y: y - 30,
-        width: 45,
-        height: 45,
-        vx: randomSign() * 1.5,
-        health: 1
-      });
+  const updateShop = (change) => {
+    setShop(prev => {
+      const next = change(prev);
+      if (next !== prev) saveShop(next);
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    skinRef.current = getSkin(shop.equipped).region;
+  }, [shop.equipped]);
+
+  // change: settings to update, or a function of the current settings
+  // returning them
+  const updateControls = (change) => {
+    setControls(prev => {
+      const next = { ...prev, ...(typeof change === 'function' ? change(prev) : change) };
+      saveControls(next);
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    controlsRef.current = controls;
+  }, [controls]);
+
+  useEffect(() => {
+    rebindingRef.current = rebinding;
+  }, [rebinding]);
+
+  // Give the action being rebound its new key or button (null cancels)
+  const finishRebinding = (input) => {
+    const target = rebindingRef.current;
+    rebindingRef.current = null;
+    setRebinding(null);
+    if (target && input !== null) {
+      updateControls(prev => ({ bindings: bindAction(prev.bindings, target.device, target.action, input) }));
     }
+  };
 
-    // Spawn powerup
-    if (Math.random() > 0.92) {
-      const powerupType = weightedRandom(POWERUP_TYPES, POWERUP_WEIGHTS);
-      powerups.push({
-        x: platform.x + platform.width / 2 - 20,
-        y: platform.y - 60,
-        width: 40,
-        height: 50,
-        type: powerupType,
-        collected: false,
-        animFrame: Math.random() * Math.PI * 2
-      });
+  // change: settings to update, or a function of the current settings
+  // returning them (like updateControls)
+  const updateAudio = (change) => {
+    setAudioSettings(prev => {
+      const next = { ...prev, ...(typeof change === 'function' ? change(prev) : change) };
+      saveAudioSettings(next);
+      applyAudioSettings(audio, next);
+      return next;
+    });
+  };
+
+  const toggleMute = () => updateAudio(prev => ({ muted: !prev.muted }));
+
+  const updateSettings = (change) => {
+    setSettings(prev => {
+      const next = { ...prev, ...change };
+      saveSettings(next);
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    settingsRef.current = settings;
+  }, [settings]);
+
+  // Bound keys of an action for the help texts, e.g. "← / A"
+  const keyList = (action) => controls.bindings.keys[action].map(getKeyLabel).join(' / ') || '—';
+
+  // Turning tilt on has to ask for permission from the tap itself (iOS)
+  const toggleTilt = async () => {
+    if (controls.tilt) {
+      updateControls({ tilt: false });
+      return;
     }
-  }, []);
+    const allowed = await requestTiltPermission();
+    setTiltError(allowed ? '' : 'Motion access was denied');
+    if (allowed) updateControls({ tilt: true });
+  };
 
-  const initGame = useCallback(() => {
-    const g = gameRef.current;
-    g.frog = createFrog();
-    g.platforms = [];
-    g.gems = [];
-    g.enemies = [];
-    g.powerups = [];
-    g.bullets = [];
-    g.particles = [];
-    g.cameraY = 0;
-    g.score = 0;
-
-    for (let i = 0; i < 15; i++) {
-      generatePlatform(600 - i * 100, g.platforms, g.gems, g.enemies, g.powerups);
+  // The current tilt becomes the neutral (no steering) angle
+  const calibrateTilt = () => {
+    if (tiltRef.current === null) {
+      setTiltError('No tilt reading yet; move the device a little');
+      return;
     }
+    setTiltError('');
+    updateControls({ tiltOffset: tiltRef.current });
+  };
 
-    g.platforms.push({
-      x: CANVAS_WIDTH / 2 - 40,
-      y: 600,
-      width: 80,
-      height: 20,
-      type: 'normal',
-      color: PLATFORM_COLORS[0],
-      vx: 0,
-      broken: false
+  // Keyboard, on-screen buttons, tilt and gamepad all steer; the engine
+  // sees one input (see input.js)
+  const readInput = () => {
+    const touch = touchRef.current;
+    return mergeInputs({
+      keys: keysRef.current,
+      touch: { left: touch.left.size > 0, right: touch.right.size > 0, shoot: touch.shoot.size > 0 },
+      tilt: controlsRef.current.tilt ? getTiltInput(tiltRef.current, controlsRef.current) : { left: false, right: false },
+      gamepad: gamepadRef.current
     });
+  };
 
-    g.clouds = [];
-    for (let i = 0; i < 8; i++) {
-      g.clouds.push({
-        x: randomRange(0, CANVAS_WIDTH),
-        y: randomRange(0, 2000),
-        width: randomRange(80, 180),
-        speed: randomRange(0.3, 0.8),
-        opacity: randomRange(0.3, 0.7)
-      });
-    }
+  const releaseControls = () => {
+    Object.assign(keysRef.current, { left: false, right: false, shoot: false });
+    for (const pointers of Object.values(touchRef.current)) pointers.clear();
+  };
 
-    setScore(0);
-  }, [generatePlatform]);
+  // Name the run that just ended and add it to the leaderboard
+  const handleSaveScore = () => {
+    const entry = { ...lastRun, name: normalizeName(playerName) };
+    const entries = addLeaderboardEntry(leaderboard, entry);
+    saveLeaderboard(entries);
+    savePlayerName(entry.name);
+    setLeaderboard(entries);
+    setSavedEntry(entry);
+  };
 
-  useEffect(() => {
-    gameStateRef.current = gameState;
-  }, [gameState]);
+  // Pausing freezes the simulation: step() only runs while 'playing' or
+  // counting down in 'starting', and resuming returns to the paused state,
+  // so a countdown interrupted by a hidden tab picks up where it stopped.
+  // Held keys and buttons are released so nothing is stuck down on resume.
+  const pauseGame = useCallback(() => {
+    const state = gameStateRef.current;
+    if (state !== 'playing' && state !== 'starting') return;
+    releaseControls();
+    pausedFromRef.current = state;
+    gameStateRef.current = 'paused';
+    setGameState('paused');
+  }, []);
 
-  const createParticles = (x, y, color, count = 6) => {
-    const particles = [];
-    for (let i = 0; i < count; i++) {
-      particles.push({
-        x, y,
-        vx: randomRange(-3, 3),
-        vy: randomRange(-5, -1),
-        color,
-        size: randomRange(3, 6),
-        life: randomRange(20, 40)
-      });
+  // Settings screens opened from the pause overlay close on resume
+  const resumeGame = useCallback(() => {
+    if (gameStateRef.current !== 'paused') return;
+    setShowSettings(false);
+    setShowControls(false);
+    setRebinding(null);
+    gameStateRef.current = pausedFromRef.current;
+    setGameState(pausedFromRef.current);
+  }, []);
+
+  // Restart from the pause overlay: same mode, or the same replay from the top
+  const restartRun = () => {
+    const { playback } = replayRef.current;
+    if (playback) startReplay(playback.replay);
+    else startGame(gameMode);
+  };
+
+  // Quit from the pause overlay, leaving any replay being watched. A run
+  // quit early still keeps its gems and achievement progress, as if it had
+  // ended.
+  const quitToMenu = () => {
+    const g = gameRef.current;
+    if (!replayRef.current.playback) {
+      if (g.gemsCollected > 0) updateShop(prev => addGems(prev, g.gemsCollected));
+      saveAchievements(achievements);
     }
-    return particles;
+    replayRef.current.playback = null;
+    setWatchingReplay(false);
+    gameStateRef.current = 'menu';
+    setGameState('menu');
   };
 
+  // Mode for Space/Enter/click starts: restarts keep the previous run's mode
+  const nextRunMode = () => (gameStateRef.current === 'gameover' ? gameRef.current.mode : MODE_CLASSIC);
+
+  // Size the canvas backing store to the stage in device pixels. Window
+  // resizes also catch browser zoom, which changes devicePixelRatio.
+  useEffect(() => {
+    const stage = stageRef.current;
+    const canvas = canvasRef.current;
+    if (!stage || !canvas) return;
+
+    const resize = () => {
+      const next = createViewport(stage.clientWidth, stage.clientHeight, window.devicePixelRatio || 1);
+      const backing = getBackingSize(next);
+      canvas.width = backing.width;
+      canvas.height = backing.height;
+      viewportRef.current = next;
+      setViewport(next);
+    };
+
+    resize();
+    const observer = new ResizeObserver(resize);
+    observer.observe(stage);
+    window.addEventListener('resize', resize);
+    return () => {
+      observer.disconnect();
+      window.removeEventListener('resize', resize);
+    };
+  }, []);
+
+  // Load sprite atlases; drawing falls back to canvas shapes until they arrive
+  useEffect(() => {
+    let cancelled = false;
+    loadAtlases().then(loaded => {
+      if (cancelled) return;
+      atlasRef.current = loaded;
+      setAtlas(loaded);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
   // ============== DRAWING FUNCTIONS ==============
 
-  const drawBackground = (ctx, g) => {
-    const gradient = ctx.createLinearGradient(0, 0, 0, CANVAS_HEIGHT);
-    gradient.addColorStop(0, '#87CEEB');
-    gradient.addColorStop(1, '#1E90FF');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  // area: the visible part of the world plane (see getVisibleArea); the sky
+  // covers all of it, past the world's edges
+  const drawBackground = (ctx, g, area) => {
+    const sky = getKeyFrame(getAtlasAnimation(atlasRef.current, SKY_REGIONS, SKY_FPS, ANIMATION_PING_PONG), g.time);
+    if (sky) {
+      drawRegion(ctx, sky, area.x, area.y, area.width, area.height);
+    } else {
+      const gradient = ctx.createLinearGradient(0, area.y, 0, area.y + area.height);
+      gradient.addColorStop(0, '#87CEEB');
+      gradient.addColorStop(1, '#1E90FF');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(area.x, area.y, area.width, area.height);
+    }
 
     ctx.save();
     ctx.translate(CANVAS_WIDTH - 80, 80);
-    ctx.rotate(g.sunRotation);
+    if (!settingsRef.current.reducedMotion) ctx.rotate(g.sunRotation);
     ctx.globalAlpha = 0.3;
     for (let i = 0; i < 16; i++) {
       ctx.save();
@@ -455,41 +523,52 @@ export default function JumpyFrog() {
     drawEllipse(ctx, x + width * 0.25, y + 5, width * 0.35, width * 0.22);
   };
 
-  const drawHills = (ctx, cameraY) => {
+  // Hills run across the whole visible area, like the sky
+  const drawHills = (ctx, cameraY, area) => {
     const hillY = CANVAS_HEIGHT - 100;
+    const bottom = Math.max(CANVAS_HEIGHT, area.y + area.height);
+    const right = area.x + area.width;
 
     ctx.fillStyle = '#32CD32';
     ctx.beginPath();
-    ctx.moveTo(0, CANVAS_HEIGHT);
-    for (let x = 0; x <= CANVAS_WIDTH; x += 50) {
+    const backStart = Math.floor(area.x / 50) * 50;
+    ctx.moveTo(backStart, bottom);
+    for (let x = backStart; x <= right + 50; x += 50) {
       const y = hillY + Math.sin((x + cameraY * 0.1) * 0.02) * 30;
       ctx.lineTo(x, y);
     }
-    ctx.lineTo(CANVAS_WIDTH, CANVAS_HEIGHT);
+    ctx.lineTo(right + 50, bottom);
     ctx.fill();
 
     ctx.fillStyle = '#228B22';
     ctx.beginPath();
-    ctx.moveTo(0, CANVAS_HEIGHT);
-    for (let x = 0; x <= CANVAS_WIDTH; x += 30) {
+    const frontStart = Math.floor(area.x / 30) * 30;
+    ctx.moveTo(frontStart, bottom);
+    for (let x = frontStart; x <= right + 30; x += 30) {
       const y = hillY + 40 + Math.sin((x + cameraY * 0.15) * 0.03) * 25;
       ctx.lineTo(x, y);
     }
-    ctx.lineTo(CANVAS_WIDTH, CANVAS_HEIGHT);
+    ctx.lineTo(right + 30, bottom);
     ctx.fill();
   };
 
   const drawPlatform = (ctx, platform, screenY) => {
     const { x, width, height, type, color } = platform;
+    const skin = type === 'moving' ? 'sideways' : type === 'updown' ? 'updown' : 'platform';
+    const region = findRegion(atlasRef.current, `${platform.theme}-${skin}`);
 
-    drawShadow(ctx, x, screenY, width, height);
-    drawRoundedRectGradient(ctx, x, screenY, width, height, 8, color.top, color.bottom);
+    if (region) {
+      drawRegionFilled(ctx, region, x, screenY, width, height);
+    } else {
+      drawShadow(ctx, x, screenY, width, height);
+      drawRoundedRectGradient(ctx, x, screenY, width, height, 8, color.top, color.bottom);
 
-    ctx.strokeStyle = 'rgba(255,255,255,0.5)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.roundRect(x + 2, screenY + 2, width - 4, height - 6, 6);
-    ctx.stroke();
+      ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.roundRect(x + 2, screenY + 2, width - 4, height - 6, 6);
+      ctx.stroke();
+    }
 
     if (type === 'spring') {
       drawCircle(ctx, x + width / 2, screenY - 5, 8, '#FFD700');
@@ -503,7 +582,7 @@ export default function JumpyFrog() {
       ctx.moveTo(x + width * 0.6, screenY);
       ctx.lineTo(x + width * 0.7, screenY + height);
       ctx.stroke();
-    } else if (type === 'moving') {
+    } else if (type === 'moving' && !region) {
       ctx.fillStyle = 'rgba(255,255,255,0.6)';
       ctx.beginPath();
       ctx.moveTo(x + 10, screenY + height / 2);
@@ -515,16 +594,38 @@ export default function JumpyFrog() {
       ctx.lineTo(x + width - 18, screenY + height / 2 - 4);
       ctx.lineTo(x + width - 18, screenY + height / 2 + 4);
       ctx.fill();
+    } else if (type === 'updown' && !region) {
+      ctx.fillStyle = 'rgba(255,255,255,0.6)';
+      ctx.beginPath();
+      ctx.moveTo(x + width / 2, screenY + 2);
+      ctx.lineTo(x + width / 2 - 5, screenY + 7);
+      ctx.lineTo(x + width / 2 + 5, screenY + 7);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.moveTo(x + width / 2, screenY + height - 2);
+      ctx.lineTo(x + width / 2 - 5, screenY + height - 7);
+      ctx.lineTo(x + width / 2 + 5, screenY + height - 7);
+      ctx.fill();
     }
   };
 
-  const drawGem = (ctx, gem, screenY) => {
+  const drawGem = (ctx, gem, screenY, time) => {
     const { x, type, animFrame } = gem;
-    const color = GEM_COLORS[type];
+    const color = getGemColors(settingsRef.current)[type];
 
     const glowSize = 20 + Math.sin(animFrame) * 5;
     drawGlow(ctx, x + 15, screenY + 20, glowSize, color.glow);
 
+    // Spinning ruby; animFrame doubles as a per-gem phase offset. The ruby
+    // art has fixed colours, so colourblind palettes draw the shape instead.
+    const spin = getAtlasAnimation(atlasRef.current, GEM_REGIONS[type], GEM_SPIN_FPS);
+    const region = getKeyFrame(spin, time + animFrame);
+    if (region && settingsRef.current.gemPalette === 'default') {
+      const size = gem.height;
+      drawRegionAnchored(ctx, region, x + gem.width / 2, screenY + size, size / region.originalHeight);
+      return;
+    }
+
     ctx.fillStyle = color.main;
     ctx.strokeStyle = '#333';
     ctx.lineWidth = 2;
@@ -547,7 +648,22 @@ export default function JumpyFrog() {
     ctx.fill();
   };
 
-  const drawEnemy = (ctx, enemy, screenY) => {
+  // Eyes shared by the enemy drawings; look is the pupil offset
+  const drawEnemyEyes = (ctx, x, y, size, look = 0) => {
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    ctx.arc(x + size * 0.35, y + size * 0.4, 6, 0, Math.PI * 2);
+    ctx.arc(x + size * 0.65, y + size * 0.4, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.arc(x + size * 0.35 + look, y + size * 0.4, 3, 0, Math.PI * 2);
+    ctx.arc(x + size * 0.65 + look, y + size * 0.4, 3, 0, Math.PI * 2);
+    ctx.fill();
+  };
+
+  // Purple spiky ball
+  const drawSpikyEnemy = (ctx, enemy, screenY) => {
     const { x, width } = enemy;
     const size = width;
 
@@ -570,16 +686,108 @@ export default function JumpyFrog() {
     ctx.arc(x + size/2, screenY + size/2, size/2 - 2, 0, Math.PI * 2);
     ctx.fill();
 
-    ctx.fillStyle = '#fff';
+    drawEnemyEyes(ctx, x, screenY, size);
+  };
+
+  // Little ghost with flapping wings
+  const drawHoverEnemy = (ctx, enemy, screenY) => {
+    const { x, width: size } = enemy;
+    const flap = Math.sin(Date.now() * 0.02) * 6;
+
+    ctx.fillStyle = '#B3E5FC';
+    drawEllipse(ctx, x - 2, screenY + size * 0.45 + flap, 10, 6, -0.4);
+    drawEllipse(ctx, x + size + 2, screenY + size * 0.45 + flap, 10, 6, 0.4);
+
+    ctx.fillStyle = '#4FC3F7';
     ctx.beginPath();
-    ctx.arc(x + size * 0.35, screenY + size * 0.4, 6, 0, Math.PI * 2);
-    ctx.arc(x + size * 0.65, screenY + size * 0.4, 6, 0, Math.PI * 2);
+    ctx.arc(x + size/2, screenY + size/2, size/2, Math.PI, 0);
+    ctx.lineTo(x + size, screenY + size);
+    for (let i = 3; i >= 0; i--) {
+      ctx.lineTo(x + (size / 4) * i + size / 8, screenY + size - 6);
+      ctx.lineTo(x + (size / 4) * i, screenY + size);
+    }
+    ctx.closePath();
     ctx.fill();
-    ctx.fillStyle = '#000';
+
+    drawEnemyEyes(ctx, x, screenY, size);
+  };
+
+  // Angry red bug that looks where it flies
+  const drawChaserEnemy = (ctx, enemy, screenY) => {
+    const { x, width: size, vx } = enemy;
+
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    drawEllipse(ctx, x + size * 0.25, screenY + 2, 9, 5, -0.5);
+    drawEllipse(ctx, x + size * 0.75, screenY + 2, 9, 5, 0.5);
+
+    drawCircle(ctx, x + size/2, screenY + size/2, size/2, '#E53935', '#B71C1C');
+    drawEnemyEyes(ctx, x, screenY, size, Math.sign(vx) * 2);
+
+    // Frown
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.arc(x + size * 0.35, screenY + size * 0.4, 3, 0, Math.PI * 2);
-    ctx.arc(x + size * 0.65, screenY + size * 0.4, 3, 0, Math.PI * 2);
-    ctx.fill();
+    ctx.moveTo(x + size * 0.2, screenY + size * 0.22);
+    ctx.lineTo(x + size * 0.45, screenY + size * 0.3);
+    ctx.moveTo(x + size * 0.8, screenY + size * 0.22);
+    ctx.lineTo(x + size * 0.55, screenY + size * 0.3);
+    ctx.stroke();
+  };
+
+  // Green pod with a barrel on top that kicks back and flashes as it fires
+  const drawShooterEnemy = (ctx, enemy, screenY, time) => {
+    const { x, width: size } = enemy;
+    const firing = time - enemy.fireStart < SHOOTER_FLASH_DURATION;
+    const barrelY = screenY - (firing ? 4 : 8);
+
+    ctx.fillStyle = '#33691E';
+    ctx.fillRect(x + size/2 - 6, barrelY, 12, 16);
+    drawCircle(ctx, x + size/2, barrelY, 7, '#558B2F', '#33691E');
+    if (firing) drawGlow(ctx, x + size/2, barrelY - 6, 14, '#FFEB3B', 0.8);
+
+    drawCircle(ctx, x + size/2, screenY + size/2 + 2, size/2 - 2, '#7CB342', '#33691E');
+    drawEnemyEyes(ctx, x, screenY + 4, size);
+  };
+
+  // Grey armoured ball; one pip per hit it can still take
+  const drawToughEnemy = (ctx, enemy, screenY) => {
+    const { x, width: size, health } = enemy;
+
+    const gradient = ctx.createRadialGradient(x + size * 0.4, screenY + size * 0.35, 2, x + size/2, screenY + size/2, size/2);
+    gradient.addColorStop(0, '#CFD8DC');
+    gradient.addColorStop(1, '#455A64');
+    drawCircle(ctx, x + size/2, screenY + size/2, size/2, gradient, '#263238', 3);
+
+    // Rivets
+    ctx.fillStyle = '#263238';
+    for (let i = 0; i < 8; i++) {
+      const angle = (Math.PI * 2 / 8) * i;
+      ctx.beginPath();
+      ctx.arc(x + size/2 + Math.cos(angle) * (size/2 - 6), screenY + size/2 + Math.sin(angle) * (size/2 - 6), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    drawEnemyEyes(ctx, x, screenY, size);
+
+    for (let i = 0; i < health; i++) {
+      drawCircle(ctx, x + size/2 + (i - (health - 1) / 2) * 10, screenY - 8, 3, '#FF5252');
+    }
+  };
+
+  const ENEMY_DRAWERS = {
+    spiky: drawSpikyEnemy,
+    hover: drawHoverEnemy,
+    chaser: drawChaserEnemy,
+    shooter: drawShooterEnemy,
+    tough: drawToughEnemy
+  };
+
+  const drawEnemy = (ctx, enemy, screenY, time) => ENEMY_DRAWERS[enemy.type](ctx, enemy, screenY, time);
+
+  const drawEnemyShot = (ctx, shot, screenY) => {
+    const radius = shot.width / 2;
+    drawGlow(ctx, shot.x + radius, screenY + radius, radius * 2, '#FF1744', 0.4);
+    drawCircle(ctx, shot.x + radius, screenY + radius, radius, '#FF5252', '#B71C1C', 2);
   };
 
   const drawPowerup = (ctx, powerup, screenY) => {
@@ -808,68 +1016,51 @@ export default function JumpyFrog() {
     ctx.restore();
   };
 
-  const drawFrog = (ctx, frog, x, y) => {
-    const jumping = frog.vy < 0;
-    const falling = frog.vy > 2;
-    const isGliding = frog.hasCape && falling;
-
-    // Flash effect when invincible
-    if (frog.invincible && Math.floor(frog.flashTimer / 4) % 2 === 0) {
-      ctx.globalAlpha = 0.4;
-    }
-
-    // Sumo scale effect
-    if (frog.hasSumo) {
-      ctx.save();
-      ctx.translate(x + frog.width / 2, y + frog.height / 2);
-      ctx.scale(1.3, 1.2);
-      ctx.translate(-(x + frog.width / 2), -(y + frog.height / 2));
+  // Pick the atlas frame for the frog's current pose (null until loaded)
+  // First region found among candidate names; skins do not all have every
+  // variant, so lookups go from most to least specific
+  const findFirstRegion = (atlas, names, index = -1) => {
+    for (const name of names) {
+      const region = findRegion(atlas, name, index) || (index !== -1 && findRegion(atlas, name));
+      if (region) return region;
     }
+    return null;
+  };
 
-    // Cape effect
-    if (frog.hasCape) {
-      const capeLength = isGliding ? 50 : 35;
-      const capeSpread = isGliding ? 40 : 25;
-      ctx.fillStyle = '#DC143C';
-      ctx.beginPath();
-      ctx.moveTo(x + 15, y + 25);
-      ctx.quadraticCurveTo(x - capeSpread, y + capeLength, x + 5, y + frog.height + capeLength - 20);
-      ctx.lineTo(x + frog.width - 5, y + frog.height + capeLength - 20);
-      ctx.quadraticCurveTo(x + frog.width + capeSpread, y + capeLength, x + frog.width - 15, y + 25);
-      ctx.closePath();
-      ctx.fill();
+  const getFrogFrame = (frog, pose, time) => {
+    const atlas = atlasRef.current;
+    const base = skinRef.current;
+    // Tongue frames mirror the regular poses, shown briefly after eating a gem
+    // or lashing; powered frames (general, farmer) while a power-up is active
+    const tongue = time - frog.tongueStart < TONGUE_DURATION;
+    const powered = hasAnyPower(frog);
+
+    // In the air the frog turns to the side it last moved towards
+    if (isSidePose(pose)) {
+      const side = getFacingSide(frog);
+      const frame = findFirstRegion(atlas, [
+        powered && `${base}-${side}-powered-1`,
+        tongue && `${base}-tongue-${side}-1`,
+        tongue && `${base}-${side}-tongue-1`,
+        `${base}-${side}-1`
+      ].filter(Boolean));
+      if (frame) return frame;
     }
 
-    // Rocket/Propeller flame
-    if (frog.hasRocket) {
-      ctx.fillStyle = '#FF9800';
-      ctx.beginPath();
-      ctx.moveTo(x + 15, y + frog.height);
-      ctx.quadraticCurveTo(x + 30, y + frog.height + 30 + Math.random() * 10, x + 45, y + frog.height);
-      ctx.fill();
-      ctx.fillStyle = '#FFEB3B';
-      ctx.beginPath();
-      ctx.moveTo(x + 20, y + frog.height);
-      ctx.quadraticCurveTo(x + 30, y + frog.height + 20 + Math.random() * 5, x + 40, y + frog.height);
-      ctx.fill();
+    if (powered) {
+      const frame = findRegion(atlas, `${base}-powered-1`);
+      if (frame) return frame;
     }
-
-    // Propeller
-    if (frog.hasPropeller) {
-      ctx.fillStyle = '#4CAF50';
-      ctx.beginPath();
-      ctx.arc(x + frog.width / 2, y - 5, 8, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = '#F44336';
-      for (let i = 0; i < 3; i++) {
-        ctx.save();
-        ctx.translate(x + frog.width / 2, y - 5);
-        ctx.rotate(frog.propellerAngle + (Math.PI * 2 / 3) * i);
-        ctx.fillRect(-3, -25, 6, 25);
-        ctx.restore();
-      }
+    const skin = tongue && findRegion(atlas, `${base}-tongue`) ? `${base}-tongue` : base;
+    if (pose.state === FROG_JUMP_UP) {
+      return getKeyFrame(getAtlasAnimation(atlas, skin, FROG_JUMP_FPS, ANIMATION_ONCE), time - frog.jumpStart);
     }
+    // Front frames: 1 sitting, 3 legs spread
+    return findFirstRegion(atlas, [skin], pose.state === FROG_FALL || pose.state === FROG_HIT ? 3 : 1);
+  };
 
+  // Procedural frog, used when the atlas sprite is unavailable
+  const drawFrogBody = (ctx, frog, x, y, pose) => {
     // Shadow
     ctx.fillStyle = 'rgba(0,0,0,0.2)';
     ctx.beginPath();
@@ -889,7 +1080,7 @@ export default function JumpyFrog() {
 
     // Legs
     ctx.fillStyle = frog.hasSumo ? '#FF6F00' : '#228B22';
-    if (jumping) {
+    if (pose.state === FROG_JUMP_UP || pose.state === FROG_POWERED) {
       ctx.beginPath();
       ctx.ellipse(x + 10, y + 55, 12, 20, -0.3, 0, Math.PI * 2);
       ctx.fill();
@@ -899,7 +1090,7 @@ export default function JumpyFrog() {
       ctx.fillStyle = frog.hasSumo ? '#FF8F00' : '#32CD32';
       drawFrogFoot(ctx, x + 5, y + 70, -0.3);
       drawFrogFoot(ctx, x + 45, y + 70, 0.3);
-    } else if (falling && !isGliding) {
+    } else if (pose.state === FROG_FALL || pose.state === FROG_HIT) {
       ctx.beginPath();
       ctx.ellipse(x + 5, y + 45, 15, 10, -0.5, 0, Math.PI * 2);
       ctx.fill();
@@ -921,22 +1112,6 @@ export default function JumpyFrog() {
       drawFrogFoot(ctx, x + 42, y + 58, 0.2);
     }
 
-    // Spring shoes
-    if (frog.hasSpringShoes) {
-      ctx.fillStyle = '#FF9800';
-      const springBounce = Math.sin(Date.now() * 0.01) * 2;
-      ctx.beginPath();
-      ctx.roundRect(x + 2, y + 62 + springBounce, 20, 10, 3);
-      ctx.roundRect(x + 38, y + 62 + springBounce, 20, 10, 3);
-      ctx.fill();
-      ctx.fillStyle = '#FFD700';
-      for (let i = 0; i < 2; i++) {
-        ctx.beginPath();
-        ctx.ellipse(x + 12 + i * 36, y + 75 + springBounce, 6, 4, 0, 0, Math.PI * 2);
-        ctx.fill();
-      }
-    }
-
     // Eyes
     ctx.fillStyle = '#fff';
     ctx.beginPath();
@@ -946,7 +1121,7 @@ export default function JumpyFrog() {
     ctx.ellipse(x + 40, y + 15, 12, 14, 0, 0, Math.PI * 2);
     ctx.fill();
 
-    const pupilOffset = frog.vx * 0.3;
+    const pupilOffset = frog.facing * 3;
     ctx.fillStyle = '#000';
     ctx.beginPath();
     ctx.arc(x + 20 + pupilOffset, y + 17, 5, 0, Math.PI * 2);
@@ -970,30 +1145,148 @@ export default function JumpyFrog() {
     ctx.beginPath();
     ctx.ellipse(x + 48, y + 32, 6, 4, 0, 0, Math.PI * 2);
     ctx.fill();
+  };
 
-    // Weapon on frog
-    if (hasWeapon(frog)) {
-      const weaponColor = frog.hasLaser ? '#00BCD4' : frog.hasShotgun ? '#795548' : '#424242';
-      ctx.fillStyle = weaponColor;
-      ctx.fillRect(x + 50, y + 25, 20, 8);
-      ctx.fillRect(x + 65, y + 20, 8, 18);
-    }
+  // Tongue lash from the mouth; x/y is the frog's drawn (interpolated) spot
+  const drawTongue = (ctx, frog, x, y) => {
+    const length = getTongueLength(frog);
+    if (length <= 0) return;
+    const origin = getTongueOrigin(frog);
+    const startX = origin.x + x - frog.x;
+    const startY = origin.y + y - frog.y;
+    const tipX = startX + frog.facing * length;
+
+    ctx.strokeStyle = '#E91E63';
+    ctx.lineWidth = TONGUE_THICKNESS / 3;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(startX, startY);
+    ctx.lineTo(tipX, startY);
+    ctx.stroke();
+    ctx.lineCap = 'butt';
 
-    // Shield effect
-    if (frog.hasShield) {
-      const shieldPulse = 0.3 + Math.sin(Date.now() * 0.01) * 0.1;
-      ctx.globalAlpha = shieldPulse;
-      ctx.strokeStyle = '#2196F3';
-      ctx.lineWidth = 4;
-      ctx.beginPath();
-      ctx.arc(x + frog.width / 2, y + frog.height / 2, 45, 0, Math.PI * 2);
-      ctx.stroke();
-      ctx.globalAlpha = 1;
+    ctx.fillStyle = '#FF4081';
+    ctx.beginPath();
+    ctx.arc(tipX, startY, TONGUE_THICKNESS / 3, 0, Math.PI * 2);
+    ctx.fill();
+  };
 
-      // Shield hit indicator
-      const hitsLeft = POWER_CONFIG.shield.maxHits - frog.shieldHits;
-      ctx.fillStyle = hitsLeft > 1 ? '#4CAF50' : '#FF5722';
-      ctx.font = 'bold 14px Arial';
+  const drawFrog = (ctx, frog, x, y, time) => {
+    const pose = getFrogPose(frog, time);
+    const isGliding = pose.state === FROG_GLIDE;
+
+    // Flash effect when invincible
+    if (frog.invincible && Math.floor(frog.flashTimer / 4) % 2 === 0) {
+      ctx.globalAlpha = 0.4;
+    }
+
+    // Sumo scale effect
+    if (frog.hasSumo) {
+      ctx.save();
+      ctx.translate(x + frog.width / 2, y + frog.height / 2);
+      ctx.scale(1.3, 1.2);
+      ctx.translate(-(x + frog.width / 2), -(y + frog.height / 2));
+    }
+
+    // Cape effect
+    if (frog.hasCape) {
+      const capeLength = isGliding ? 50 : 35;
+      const capeSpread = isGliding ? 40 : 25;
+      ctx.fillStyle = '#DC143C';
+      ctx.beginPath();
+      ctx.moveTo(x + 15, y + 25);
+      ctx.quadraticCurveTo(x - capeSpread, y + capeLength, x + 5, y + frog.height + capeLength - 20);
+      ctx.lineTo(x + frog.width - 5, y + frog.height + capeLength - 20);
+      ctx.quadraticCurveTo(x + frog.width + capeSpread, y + capeLength, x + frog.width - 15, y + 25);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Rocket/Propeller flame
+    if (frog.hasRocket) {
+      ctx.fillStyle = '#FF9800';
+      ctx.beginPath();
+      ctx.moveTo(x + 15, y + frog.height);
+      ctx.quadraticCurveTo(x + 30, y + frog.height + 30 + Math.random() * 10, x + 45, y + frog.height);
+      ctx.fill();
+      ctx.fillStyle = '#FFEB3B';
+      ctx.beginPath();
+      ctx.moveTo(x + 20, y + frog.height);
+      ctx.quadraticCurveTo(x + 30, y + frog.height + 20 + Math.random() * 5, x + 40, y + frog.height);
+      ctx.fill();
+    }
+
+    // Propeller
+    if (frog.hasPropeller) {
+      ctx.fillStyle = '#4CAF50';
+      ctx.beginPath();
+      ctx.arc(x + frog.width / 2, y - 5, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#F44336';
+      for (let i = 0; i < 3; i++) {
+        ctx.save();
+        ctx.translate(x + frog.width / 2, y - 5);
+        ctx.rotate(frog.propellerAngle + (Math.PI * 2 / 3) * i);
+        ctx.fillRect(-3, -25, 6, 25);
+        ctx.restore();
+      }
+    }
+
+    // Body: atlas sprite when available, procedural drawing otherwise,
+    // squashed/stretched around the feet
+    const { scaleX, scaleY } = getSquashStretch(pose, frog, time);
+    ctx.save();
+    ctx.translate(x + frog.width / 2, y + frog.height);
+    ctx.scale(scaleX, scaleY);
+    ctx.translate(-(x + frog.width / 2), -(y + frog.height));
+    const frame = getFrogFrame(frog, pose, time);
+    if (frame) {
+      drawRegionAnchored(ctx, frame, x + frog.width / 2, y + frog.height, FROG_SPRITE_SCALE);
+    } else {
+      drawFrogBody(ctx, frog, x, y, pose);
+    }
+    ctx.restore();
+    drawTongue(ctx, frog, x, y);
+
+    // Spring shoes
+    if (frog.hasSpringShoes) {
+      ctx.fillStyle = '#FF9800';
+      const springBounce = Math.sin(Date.now() * 0.01) * 2;
+      ctx.beginPath();
+      ctx.roundRect(x + 2, y + 62 + springBounce, 20, 10, 3);
+      ctx.roundRect(x + 38, y + 62 + springBounce, 20, 10, 3);
+      ctx.fill();
+      ctx.fillStyle = '#FFD700';
+      for (let i = 0; i < 2; i++) {
+        ctx.beginPath();
+        ctx.ellipse(x + 12 + i * 36, y + 75 + springBounce, 6, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    // Weapon on frog
+    if (hasWeapon(frog)) {
+      const weaponColor = frog.hasLaser ? '#00BCD4' : frog.hasShotgun ? '#795548' : '#424242';
+      ctx.fillStyle = weaponColor;
+      ctx.fillRect(x + 50, y + 25, 20, 8);
+      ctx.fillRect(x + 65, y + 20, 8, 18);
+    }
+
+    // Shield effect
+    if (frog.hasShield) {
+      const shieldPulse = 0.3 + Math.sin(Date.now() * 0.01) * 0.1;
+      ctx.globalAlpha = shieldPulse;
+      ctx.strokeStyle = '#2196F3';
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(x + frog.width / 2, y + frog.height / 2, 45, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+
+      // Shield hit indicator
+      const hitsLeft = frog.shieldMaxHits - frog.shieldHits;
+      ctx.fillStyle = hitsLeft > 1 ? '#4CAF50' : '#FF5722';
+      ctx.font = 'bold 14px Arial';
       ctx.textAlign = 'center';
       ctx.fillText(`${hitsLeft} hit${hitsLeft !== 1 ? 's' : ''}`, x + frog.width / 2, y - 10);
     }
@@ -1016,569 +1309,519 @@ export default function JumpyFrog() {
     ctx.globalAlpha = 1;
   };
 
-  const drawHUD = (ctx, frog, score) => {
-    // Score
-    ctx.fillStyle = '#fff';
-    ctx.font = 'bold 24px Arial';
-    ctx.textAlign = 'left';
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 3;
-    ctx.strokeText(`Score: ${score}`, 15, 35);
-    ctx.fillText(`Score: ${score}`, 15, 35);
-
-    // Active power-up indicators
-    const indicators = [];
-    if (frog.hasRocket) indicators.push({ icon: '🚀', time: frog.rocketTimer, color: '#FF5722' });
-    if (frog.hasCape) indicators.push({ icon: '🦸', time: 'PERSISTENT', color: '#DC143C', persistent: true });
-    if (frog.hasShield) indicators.push({ icon: '🛡️', time: `${POWER_CONFIG.shield.maxHits - frog.shieldHits} hits`, color: '#2196F3', persistent: true });
-    if (frog.hasPropeller) indicators.push({ icon: '🚁', time: frog.propellerTimer, color: '#4CAF50' });
-    if (frog.hasSpringShoes) indicators.push({ icon: '👟', time: `${frog.springShoesJumps} jumps`, color: '#FF9800', isCount: true });
-    if (frog.hasMagnet) indicators.push({ icon: '🧲', time: frog.magnetTimer, color: '#E91E63' });
-    if (frog.hasSumo) indicators.push({ icon: '💪', time: frog.sumoTimer, color: '#8D6E63' });
-    if (frog.hasLaser) indicators.push({ icon: '🔫', time: 'PERSISTENT', color: '#00BCD4', persistent: true });
-    if (frog.hasShotgun) indicators.push({ icon: '🔥', time: 'PERSISTENT', color: '#795548', persistent: true });
-    if (frog.hasTommyGun) indicators.push({ icon: '💥', time: 'PERSISTENT', color: '#607D8B', persistent: true });
-
-    indicators.forEach((ind, i) => {
-      const yPos = 55 + i * 28;
-      ctx.fillStyle = 'rgba(0,0,0,0.5)';
-      ctx.fillRect(10, yPos, 100, 24);
-      ctx.fillStyle = ind.color;
-      ctx.font = '16px Arial';
-      ctx.textAlign = 'left';
-      ctx.fillText(ind.icon, 15, yPos + 18);
-      ctx.fillStyle = ind.persistent ? '#00FF00' : '#FFD700';
-      ctx.font = 'bold 12px Arial';
-      const timeText = ind.isCount ? ind.time : (ind.persistent ? ind.time : `${Math.ceil(ind.time / 60)}s`);
-      ctx.fillText(timeText, 40, yPos + 17);
-    });
+  // HUD elements are scaled by the HUD scale setting around the screen
+  // edge they sit on (anchorX), so they stay in place at any size
+  const withHudScale = (ctx, anchorX, drawFn) => {
+    const scale = settingsRef.current.hudScale;
+    ctx.save();
+    ctx.translate(anchorX, 0);
+    ctx.scale(scale, scale);
+    ctx.translate(-anchorX, 0);
+    drawFn();
+    ctx.restore();
+  };
 
-    // Power-up queue display
-    if (frog.powerQueue && frog.powerQueue.length > 0) {
-      const queueY = 55 + indicators.length * 28 + 5;
-      ctx.fillStyle = 'rgba(0,0,0,0.4)';
-      ctx.fillRect(10, queueY, 100, 20);
-      ctx.fillStyle = '#888';
-      ctx.font = 'bold 10px Arial';
+  const drawHUD = (ctx, frog, score, level, mode) => {
+    withHudScale(ctx, 0, () => {
+      // Score
+      ctx.fillStyle = '#fff';
+      ctx.font = 'bold 24px Arial';
       ctx.textAlign = 'left';
-      ctx.fillText('QUEUED:', 15, queueY + 14);
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth = 3;
+      ctx.strokeText(`Score: ${score}`, 15, 35);
+      ctx.fillText(`Score: ${score}`, 15, 35);
+
+      // Active power-up indicators
+      const indicators = [];
+      if (frog.hasRocket) indicators.push({ icon: '🚀', time: frog.rocketTimer, color: '#FF5722' });
+      if (frog.hasCape) indicators.push({ icon: '🦸', time: 'PERSISTENT', color: '#DC143C', persistent: true });
+      if (frog.hasShield) indicators.push({ icon: '🛡️', time: `${frog.shieldMaxHits - frog.shieldHits} hits`, color: '#2196F3', persistent: true });
+      if (frog.hasPropeller) indicators.push({ icon: '🚁', time: frog.propellerTimer, color: '#4CAF50' });
+      if (frog.hasSpringShoes) indicators.push({ icon: '👟', time: `${frog.springShoesJumps} jumps`, color: '#FF9800', isCount: true });
+      if (frog.hasMagnet) indicators.push({ icon: '🧲', time: frog.magnetTimer, color: '#E91E63' });
+      if (frog.hasSumo) indicators.push({ icon: '💪', time: frog.sumoTimer, color: '#8D6E63' });
+      if (frog.hasLaser) indicators.push({ icon: '🔫', time: 'PERSISTENT', color: '#00BCD4', persistent: true });
+      if (frog.hasShotgun) indicators.push({ icon: '🔥', time: 'PERSISTENT', color: '#795548', persistent: true });
+      if (frog.hasTommyGun) indicators.push({ icon: '💥', time: 'PERSISTENT', color: '#607D8B', persistent: true });
+
+      indicators.forEach((ind, i) => {
+        const yPos = 55 + i * 28;
+        ctx.fillStyle = 'rgba(0,0,0,0.5)';
+        ctx.fillRect(10, yPos, 100, 24);
+        ctx.fillStyle = ind.color;
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(ind.icon, 15, yPos + 18);
+        ctx.fillStyle = ind.persistent ? '#00FF00' : '#FFD700';
+        ctx.font = 'bold 12px Arial';
+        const timeText = ind.isCount ? ind.time : (ind.persistent ? ind.time : `${Math.ceil(ind.time / 60)}s`);
+        ctx.fillText(timeText, 40, yPos + 17);
+      });
 
-      const powerIcons = {
-        rocket: '🚀', cape: '🦸', shield: '🛡️', propeller: '🚁',
-        springShoes: '👟', magnet: '🧲', sumo: '💪',
-        laser: '🔫', shotgun: '🔥', tommyGun: '💥'
-      };
-      const queueIcons = frog.powerQueue.slice(0, 3).map(p => powerIcons[p] || '?').join('');
-      ctx.font = '12px Arial';
-      ctx.fillText(queueIcons, 60, queueY + 14);
-      if (frog.powerQueue.length > 3) {
-        ctx.fillStyle = '#666';
-        ctx.fillText(`+${frog.powerQueue.length - 3}`, 90, queueY + 14);
+      // Power-up queue display
+      if (frog.powerQueue && frog.powerQueue.length > 0) {
+        const queueY = 55 + indicators.length * 28 + 5;
+        ctx.fillStyle = 'rgba(0,0,0,0.4)';
+        ctx.fillRect(10, queueY, 100, 20);
+        ctx.fillStyle = '#888';
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText('QUEUED:', 15, queueY + 14);
+
+        const powerIcons = {
+          rocket: '🚀', cape: '🦸', shield: '🛡️', propeller: '🚁',
+          springShoes: '👟', magnet: '🧲', sumo: '💪',
+          laser: '🔫', shotgun: '🔥', tommyGun: '💥'
+        };
+        const queueIcons = frog.powerQueue.slice(0, 3).map(p => powerIcons[p] || '?').join('');
+        ctx.font = '12px Arial';
+        ctx.fillText(queueIcons, 60, queueY + 14);
+        if (frog.powerQueue.length > 3) {
+          ctx.fillStyle = '#666';
+          ctx.fillText(`+${frog.powerQueue.length - 3}`, 90, queueY + 14);
+        }
       }
-    }
+    });
 
-    // Weapon shooting hint
-    if (hasWeapon(frog)) {
-      ctx.fillStyle = 'rgba(0,0,0,0.5)';
-      ctx.fillRect(CANVAS_WIDTH - 115, 10, 105, 28);
+    withHudScale(ctx, CANVAS_WIDTH, () => {
+      // Current level
+      const levelText = getLevelConfig(level).bonus ? `Bonus ${level}` : `Level ${level}`;
       ctx.fillStyle = '#fff';
-      ctx.font = 'bold 12px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText('⎵ SPACE = FIRE', CANVAS_WIDTH - 62, 28);
-    }
-
-    // Invincibility indicator
-    if (frog.invincible) {
-      ctx.fillStyle = 'rgba(255,235,59,0.7)';
-      ctx.font = 'bold 14px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText('★ INVINCIBLE ★', CANVAS_WIDTH / 2, 60);
-    }
-  };
-
-  // ============== GAME LOOP ==============
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    let animationId;
-
-    const update = () => {
-      if (gameStateRef.current !== 'playing') return;
-
-      const g = gameRef.current;
-      const frog = g.frog;
-      g.sunRotation += 0.002;
-
-      // Movement
-      if (g.keys.left) frog.vx = -MOVE_SPEED;
-      else if (g.keys.right) frog.vx = MOVE_SPEED;
-      else frog.vx *= 0.85;
-
-      // Power-up specific movement physics
-      if (frog.hasRocket) {
-        frog.vy = ROCKET_SPEED;
-        frog.rocketTimer--;
-        if (frog.rocketTimer <= 0) {
-          frog.hasRocket = false;
-          activateNextQueuedPower(frog);
-        }
-      } else if (frog.hasPropeller) {
-        frog.vy = PROPELLER_SPEED;
-        frog.propellerAngle += 0.5;
-        frog.propellerTimer--;
-        if (frog.propellerTimer <= 0) {
-          frog.hasPropeller = false;
-          activateNextQueuedPower(frog);
-        }
-      } else if (frog.hasCape && frog.vy > 0) {
-        frog.vy += CAPE_GRAVITY;
-        frog.vy = Math.min(frog.vy, CAPE_MAX_FALL_SPEED);
-      } else {
-        frog.vy += GRAVITY;
+      ctx.font = 'bold 16px Arial';
+      ctx.textAlign = 'right';
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth = 3;
+      ctx.strokeText(levelText, CANVAS_WIDTH - 15, 60);
+      ctx.fillText(levelText, CANVAS_WIDTH - 15, 60);
+
+      if (mode === MODE_DAILY) {
+        ctx.fillStyle = '#FFB74D';
+        ctx.font = 'bold 12px Arial';
+        ctx.strokeText('DAILY CHALLENGE', CANVAS_WIDTH - 15, 78);
+        ctx.fillText('DAILY CHALLENGE', CANVAS_WIDTH - 15, 78);
       }
 
-      // Timed power-up updates
-      if (frog.hasMagnet) {
-        frog.magnetTimer--;
-        if (frog.magnetTimer <= 0) {
-          frog.hasMagnet = false;
-          activateNextQueuedPower(frog);
-        }
-      }
-      if (frog.hasSumo) {
-        frog.sumoTimer--;
-        if (frog.sumoTimer <= 0) {
-          frog.hasSumo = false;
-          activateNextQueuedPower(frog);
-        }
+      // Weapon shooting hint, below the level so the pause button keeps the corner
+      if (hasWeapon(frog)) {
+        ctx.fillStyle = 'rgba(0,0,0,0.5)';
+        ctx.fillRect(CANVAS_WIDTH - 115, 86, 105, 28);
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        const fireKey = controlsRef.current.bindings.keys.shoot[0];
+        ctx.fillText(`${fireKey ? getKeyLabel(fireKey).toUpperCase() : 'FIRE'} = FIRE`, CANVAS_WIDTH - 62, 104);
       }
+    });
 
-      // Invincibility timer
+    withHudScale(ctx, CANVAS_WIDTH / 2, () => {
+      // Invincibility indicator
       if (frog.invincible) {
-        frog.invincibleTimer--;
-        frog.flashTimer = frog.invincibleTimer;
-        if (frog.invincibleTimer <= 0) {
-          frog.invincible = false;
-        }
+        ctx.fillStyle = 'rgba(255,235,59,0.7)';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('★ INVINCIBLE ★', CANVAS_WIDTH / 2, 60);
       }
+    });
+  };
 
-      // Weapon cooldown
-      if (frog.weaponCooldown > 0) frog.weaponCooldown--;
+  // Remaining lives as a row of icons at the top centre
+  const drawLives = (ctx, lives) => {
+    const region = findRegion(atlasRef.current, 'life-icon');
+    const startX = CANVAS_WIDTH / 2 - (lives * (LIFE_ICON_SIZE + 2)) / 2;
+    ctx.font = `${LIFE_ICON_SIZE - 4}px Arial`;
+    ctx.textAlign = 'left';
+    for (let i = 0; i < lives; i++) {
+      const x = startX + i * (LIFE_ICON_SIZE + 2);
+      if (region) drawRegion(ctx, region, x, 12, LIFE_ICON_SIZE, LIFE_ICON_SIZE);
+      else ctx.fillText('❤️', x, 12 + LIFE_ICON_SIZE - 4);
+    }
+  };
 
-      frog.x += frog.vx;
-      frog.y += frog.vy;
+  // Frame rate counter at the bottom centre (Settings → Show FPS)
+  const drawFps = (ctx, fps) => {
+    ctx.fillStyle = 'rgba(0,0,0,0.5)';
+    ctx.fillRect(CANVAS_WIDTH / 2 - 32, CANVAS_HEIGHT - 26, 64, 20);
+    ctx.fillStyle = fps >= 55 ? '#69F0AE' : fps >= 30 ? '#FFD740' : '#FF5252';
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${fps} FPS`, CANVAS_WIDTH / 2, CANVAS_HEIGHT - 11);
+  };
 
-      // Screen wrap
-      if (frog.x > CANVAS_WIDTH) frog.x = -frog.width;
-      if (frog.x < -frog.width) frog.x = CANVAS_WIDTH;
+  const drawLifeLost = (ctx, lives, timer) => {
+    const centerY = CANVAS_HEIGHT * 0.3;
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, timer / 20);
 
-      // Camera follow
-      const targetCameraY = frog.y - CANVAS_HEIGHT * 0.4;
-      if (targetCameraY < g.cameraY) {
-        g.cameraY = targetCameraY;
-        g.score = Math.max(g.score, Math.floor(-g.cameraY / 10));
-        setScore(g.score);
-      }
+    ctx.fillStyle = '#FF4081';
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 4;
+    ctx.font = 'bold 32px Arial';
+    ctx.textAlign = 'center';
+    ctx.strokeText('OUCH! LIFE LOST', CANVAS_WIDTH / 2, centerY);
+    ctx.fillText('OUCH! LIFE LOST', CANVAS_WIDTH / 2, centerY);
+
+    const region = findRegion(atlasRef.current, 'life-heart');
+    const text = `${lives} ${lives === 1 ? 'life' : 'lives'} left`;
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 20px Arial';
+    if (region) {
+      drawRegion(ctx, region, CANVAS_WIDTH / 2 - 110, centerY + 18, 74, 26);
+      ctx.textAlign = 'left';
+      ctx.strokeText(text, CANVAS_WIDTH / 2 - 28, centerY + 38);
+      ctx.fillText(text, CANVAS_WIDTH / 2 - 28, centerY + 38);
+    } else {
+      ctx.strokeText(`❤️ ${text}`, CANVAS_WIDTH / 2, centerY + 38);
+      ctx.fillText(`❤️ ${text}`, CANVAS_WIDTH / 2, centerY + 38);
+    }
+    ctx.restore();
+  };
 
-      // Platform collision
-      if (frog.vy > 0 && !frog.hasRocket && !frog.hasPropeller) {
-        for (const platform of g.platforms) {
-          if (platform.broken) continue;
-          if (frog.x + frog.width > platform.x &&
-              frog.x < platform.x + platform.width &&
-              frog.y + frog.height > platform.y &&
-              frog.y + frog.height < platform.y + platform.height + frog.vy + 5) {
-
-            let jumpForce = JUMP_FORCE;
-
-            if (frog.hasSpringShoes) {
-              jumpForce *= SPRING_SHOES_JUMP_MULTIPLIER;
-              frog.springShoesJumps--;
-              if (frog.springShoesJumps <= 0) {
-                frog.hasSpringShoes = false;
-                activateNextQueuedPower(frog);
-              }
-            }
-
-            if (platform.type === 'breakable') {
-              platform.broken = true;
-              frog.vy = jumpForce;
-              g.particles.push(...createParticles(platform.x + platform.width/2, platform.y, platform.color.top));
-            } else if (platform.type === 'spring') {
-              frog.vy = jumpForce * 1.5;
-            } else {
-              frog.vy = jumpForce;
-            }
-          }
-        }
-      }
+  // Banner shown while a new level begins
+  const drawLevelBanner = (ctx, level, timer) => {
+    const config = getLevelConfig(level);
+    const progress = 1 - timer / LEVEL_BANNER_DURATION;
+    // Slide in, hold, fade out
+    const slide = Math.min(1, progress * 5);
+    const alpha = Math.min(1, timer / 30);
+    const centerY = CANVAS_HEIGHT * 0.3;
 
-      // Moving platforms
-      for (const platform of g.platforms) {
-        if (platform.type === 'moving') {
-          platform.x += platform.vx;
-          if (platform.x <= 0 || platform.x + platform.width >= CANVAS_WIDTH) {
-            platform.vx *= -1;
-          }
-        }
-      }
+    ctx.save();
+    ctx.globalAlpha = alpha;
 
-      // Magnet gem attraction
-      if (frog.hasMagnet) {
-        const frogCX = frog.x + frog.width / 2;
-        const frogCY = frog.y + frog.height / 2;
-        for (const gem of g.gems) {
-          if (gem.collected) continue;
-          const dist = getDistance(frogCX, frogCY, gem.x + gem.width/2, gem.y + gem.height/2);
-          if (dist < MAGNET_RANGE && dist > 5) {
-            const angle = Math.atan2(frogCY - gem.y - gem.height/2, frogCX - gem.x - gem.width/2);
-            gem.x += Math.cos(angle) * MAGNET_PULL_SPEED;
-            gem.y += Math.sin(angle) * MAGNET_PULL_SPEED;
-          }
-        }
-      }
+    // Celebrating frog pose above the banner text
+    const region = findRegion(atlasRef.current, 'frog-level-complete');
+    const textY = centerY - (1 - slide) * 100;
+    if (region) drawRegionAnchored(ctx, region, CANVAS_WIDTH / 2, textY - 30, FROG_SPRITE_SCALE);
 
-      // Gem collection
-      for (const gem of g.gems) {
-        if (gem.collected) continue;
-        gem.animFrame += 0.15;
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 4;
+    ctx.font = 'bold 32px Arial';
+    ctx.textAlign = 'center';
+    ctx.strokeText('LEVEL COMPLETE!', CANVAS_WIDTH / 2, textY);
+    ctx.fillText('LEVEL COMPLETE!', CANVAS_WIDTH / 2, textY);
+
+    const nextText = config.bonus ? `★ BONUS LEVEL ${level} ★` : `LEVEL ${level}`;
+    ctx.fillStyle = config.bonus ? '#FFD700' : '#fff';
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 4;
+    ctx.font = 'bold 26px Arial';
+    ctx.textAlign = 'center';
+    ctx.strokeText(nextText, CANVAS_WIDTH / 2, centerY + 50);
+    ctx.fillText(nextText, CANVAS_WIDTH / 2, centerY + 50);
+    ctx.restore();
+  };
 
-        if (checkCollision(frog, gem)) {
-          gem.collected = true;
-          g.score += GEM_VALUES[gem.type];
-          setScore(g.score);
-          g.particles.push(...createParticles(gem.x + gem.width/2, gem.y + gem.height/2, GEM_COLORS[gem.type].main));
-        }
-      }
+  // steps: fixed steps since the sequence started
+  const drawCountdown = (ctx, steps) => {
+    const ready = steps < READY_STEPS;
+    const t = ready ? steps / READY_STEPS : (steps - READY_STEPS) / GO_STEPS;
+    // Ready pops in and holds; Go grows and fades out
+    const grow = ready ? Math.min(1, 0.5 + t * 3) : 1 + t * 0.4;
+    const centerY = CANVAS_HEIGHT * 0.35;
 
-      // Powerup collection
-      for (const powerup of g.powerups) {
-        if (powerup.collected) continue;
-        powerup.animFrame += 0.1;
-
-        if (checkCollision(frog, powerup)) {
-          powerup.collected = true;
-
-          // Spring is instant effect, always apply immediately
-          if (powerup.type === 'spring') {
-            activatePower(frog, 'spring');
-          } else if (hasAnyPower(frog) || frog.powerQueue.length > 0) {
-            // Queue the power-up if we already have one active or queued
-            frog.powerQueue.push(powerup.type);
-          } else {
-            // No active power, activate immediately
-            activatePower(frog, powerup.type);
-          }
-
-          g.particles.push(...createParticles(powerup.x + 20, powerup.y + 25, '#FFD700', 8));
-        }
-      }
+    ctx.save();
+    ctx.globalAlpha = ready ? 1 : 1 - t * t;
 
-      // Manual shooting with SPACE (weapons only)
-      if (g.keys.shoot && hasWeapon(frog) && frog.weaponCooldown === 0) {
-        const frogCX = frog.x + frog.width / 2;
-        const frogCY = frog.y + frog.height / 2;
-
-        if (frog.hasLaser) {
-          // Find nearest enemy for auto-targeting
-          let nearestEnemy = null;
-          let nearestDist = 400;
-          for (const enemy of g.enemies) {
-            const dist = getDistance(frogCX, frogCY, enemy.x + enemy.width/2, enemy.y + enemy.height/2);
-            if (dist < nearestDist) {
-              nearestDist = dist;
-              nearestEnemy = enemy;
-            }
-          }
-
-          let vx = 15, vy = 0;
-          if (nearestEnemy) {
-            const angle = Math.atan2(nearestEnemy.y + nearestEnemy.height/2 - frogCY, nearestEnemy.x + nearestEnemy.width/2 - frogCX);
-            vx = Math.cos(angle) * 15;
-            vy = Math.sin(angle) * 15;
-          }
-
-          g.bullets.push({ x: frogCX, y: frogCY, vx, vy, width: 20, height: 4, type: 'laser' });
-          frog.weaponCooldown = POWER_CONFIG.laser.cooldown;
-        } else if (frog.hasShotgun) {
-          // 3-way spread shot
-          for (let i = -1; i <= 1; i++) {
-            const angle = -Math.PI/2 + i * 0.3;
-            g.bullets.push({
-              x: frogCX, y: frogCY,
-              vx: Math.cos(angle) * 10,
-              vy: Math.sin(angle) * 10,
-              width: 10, height: 10,
-              type: 'shotgun'
-            });
-          }
-          frog.weaponCooldown = POWER_CONFIG.shotgun.cooldown;
-        } else if (frog.hasTommyGun) {
-          // Rapid fire with slight spread
-          const spread = (Math.random() - 0.5) * 0.3;
-          g.bullets.push({
-            x: frogCX, y: frogCY,
-            vx: Math.cos(-Math.PI/2 + spread) * 12,
-            vy: Math.sin(-Math.PI/2 + spread) * 12,
-            width: 8, height: 8,
-            type: 'tommyGun'
-          });
-          frog.weaponCooldown = POWER_CONFIG.tommyGun.cooldown;
-        }
-      }
+    const region = findRegion(atlasRef.current, ready ? 'ready-txt' : 'go-txt');
+    if (region) {
+      const scale = COUNTDOWN_SCALE * grow;
+      drawRegionAnchored(ctx, region, CANVAS_WIDTH / 2, centerY + (region.originalHeight * scale) / 2, scale);
+    } else {
+      const text = ready ? 'READY…' : 'GO!';
+      ctx.fillStyle = ready ? '#FFEB3B' : '#69F0AE';
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth = 6;
+      ctx.font = `bold ${Math.round(56 * grow)}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.strokeText(text, CANVAS_WIDTH / 2, centerY);
+      ctx.fillText(text, CANVAS_WIDTH / 2, centerY);
+    }
+    ctx.restore();
+  };
 
-      // Update bullets
-      for (let i = g.bullets.length - 1; i >= 0; i--) {
-        const bullet = g.bullets[i];
-        bullet.x += bullet.vx;
-        bullet.y += bullet.vy;
-
-        // Bullet-enemy collision
-        for (let j = g.enemies.length - 1; j >= 0; j--) {
-          const enemy = g.enemies[j];
-          if (bullet.x > enemy.x && bullet.x < enemy.x + enemy.width &&
-              bullet.y > enemy.y && bullet.y < enemy.y + enemy.height) {
-            g.particles.push(...createParticles(enemy.x + enemy.width/2, enemy.y + enemy.height/2, '#9C27B0', 10));
-            g.enemies.splice(j, 1);
-            g.bullets.splice(i, 1);
-            g.score += 25;
-            setScore(g.score);
-            break;
-          }
-        }
+  // ============== GAME LOOP ==============
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    let animationId;
 
-        // Remove off-screen bullets
-        if (i < g.bullets.length && (bullet.x < 0 || bullet.x > CANVAS_WIDTH ||
-            bullet.y < g.cameraY - 100 || bullet.y > g.cameraY + CANVAS_HEIGHT + 100)) {
-          g.bullets.splice(i, 1);
-        }
+    // End the run (or the replay being watched). The ref is updated right away
+    // so no further steps are simulated or recorded after the death step.
+    const endRun = () => {
+      const g = gameRef.current;
+      replayRef.current.recording.score = g.score;
+      if (!replayRef.current.playback) {
+        setHighScore(prev => Math.max(prev, g.score));
+        setLastRun(createLeaderboardEntry('', g));
+        if (g.gemsCollected > 0) updateShop(prev => addGems(prev, g.gemsCollected));
       }
+      gameStateRef.current = 'gameover';
+      setGameState('gameover');
+    };
 
-      // Enemy collision with Mario-style protection
-      for (let i = g.enemies.length - 1; i >= 0; i--) {
-        const enemy = g.enemies[i];
-        enemy.x += enemy.vx;
-        if (enemy.x <= 0 || enemy.x + enemy.width >= CANVAS_WIDTH) {
-          enemy.vx *= -1;
-        }
-
-        if (checkCollision(frog, enemy, 5)) {
-          // Skip if invincible
-          if (frog.invincible) continue;
-
-          // Sumo: bounce-kill enemies on contact
-          if (frog.hasSumo) {
-            g.particles.push(...createParticles(enemy.x + enemy.width/2, enemy.y + enemy.height/2, '#FF9800', 10));
-            g.enemies.splice(i, 1);
-            frog.vy = SUMO_BOUNCE_FORCE;
-            g.score += 100;
-            setScore(g.score);
-            continue;
-          }
-
-          // Shield: absorb hit
-          if (frog.hasShield) {
-            frog.shieldHits++;
-            g.particles.push(...createParticles(enemy.x + enemy.width/2, enemy.y + enemy.height/2, '#2196F3', 10));
-            g.enemies.splice(i, 1);
-
-            if (frog.shieldHits >= POWER_CONFIG.shield.maxHits) {
-              // Shield broke
-              frog.hasShield = false;
-              frog.shieldHits = 0;
-              frog.invincible = true;
-              frog.invincibleTimer = 60;
-              frog.flashTimer = 60;
-              activateNextQueuedPower(frog);
-            }
-            continue;
-          }
-
-          // Rocket/Propeller: immune during flight
-          if (frog.hasRocket || frog.hasPropeller) {
-            g.particles.push(...createParticles(enemy.x + enemy.width/2, enemy.y + enemy.height/2, '#FF5722', 10));
-            g.enemies.splice(i, 1);
-            continue;
-          }
-
-          // Mario-style hit protection: lose power instead of dying
-          if (hasAnyPower(frog)) {
-            clearAllPowers(frog);
-            frog.invincible = true;
-            frog.invincibleTimer = INVINCIBILITY_DURATION;
-            frog.flashTimer = INVINCIBILITY_DURATION;
-            g.particles.push(...createParticles(enemy.x + enemy.width/2, enemy.y + enemy.height/2, '#FFEB3B', 10));
-            g.enemies.splice(i, 1);
-            activateNextQueuedPower(frog);
-            continue;
-          }
-
-          // No power = game over
-          setHighScore(prev => Math.max(prev, g.score));
-          setGameState('gameover');
+    // One fixed step: pick the input, record it, advance the engine and
+    // forward its events to React state
+    const step = () => {
+      // Ready/Go: the frog waits on the start platform until it finishes
+      if (gameStateRef.current === 'starting') {
+        countdownRef.current++;
+        if (countdownRef.current >= COUNTDOWN_STEPS) {
+          gameStateRef.current = 'playing';
+          setGameState('playing');
         }
+        return;
       }
+      if (gameStateRef.current !== 'playing') return;
 
-      // Update particles
-      for (let i = g.particles.length - 1; i >= 0; i--) {
-        const p = g.particles[i];
-        p.x += p.vx;
-        p.y += p.vy;
-        p.vy += 0.2;
-        p.life--;
-        if (p.life <= 0) g.particles.splice(i, 1);
+      // Inputs come from the replay being watched, otherwise from the player
+      const replay = replayRef.current;
+      const input = replay.playback ? nextPlaybackInput(replay.playback) : readInput();
+      if (!input) {
+        endRun();
+        return;
       }
+      recordFrame(replay.recording, input);
 
-      // Clouds
-      for (const cloud of g.clouds) {
-        cloud.x -= cloud.speed;
-        if (cloud.x + cloud.width < 0) {
-          cloud.x = CANVAS_WIDTH + randomRange(0, 100);
-          cloud.y = g.cameraY - randomRange(0, CANVAS_HEIGHT);
-        }
+      const events = update(gameRef.current, input);
+
+      // Replays re-run old inputs and must not unlock anything
+      if (!replay.playback) {
+        const unlocked = applyAchievementEvents(achievements, events);
+        if (unlocked.length > 0) setAchievementToasts(prev => [...prev, ...unlocked]);
       }
 
-      // Generate platforms
-      let highestPlatform = Math.min(...g.platforms.map(p => p.y));
-      while (highestPlatform > g.cameraY - 200) {
-        const newY = highestPlatform - randomRange(80, 140);
-        generatePlatform(newY, g.platforms, g.gems, g.enemies, g.powerups);
-        highestPlatform = newY;
+      if (lifeLostRef.current > 0) lifeLostRef.current--;
+
+      for (const event of events) {
+        if (event.type === 'score') setScore(event.score);
+        else if (event.type === 'lifelost' || event.type === 'rescue') {
+          // Respawned or rescued: jump straight to the new spot instead of
+          // interpolating
+          const { frog } = gameRef.current;
+          frog.prevX = frog.x;
+          frog.prevY = frog.y;
+          if (event.type === 'lifelost') lifeLostRef.current = LIFE_LOST_STEPS;
+        } else if (event.type === 'gameover') endRun();
+        playEventSound(audio, event);
       }
+    };
 
-      // Cleanup
-      const cleanupY = g.cameraY + CANVAS_HEIGHT + 100;
-      g.platforms = g.platforms.filter(p => p.y < cleanupY);
-      g.gems = g.gems.filter(gem => gem.y < cleanupY && !gem.collected);
-      g.enemies = g.enemies.filter(e => e.y < cleanupY);
-      g.powerups = g.powerups.filter(p => p.y < cleanupY && !p.collected);
-
-      // Fall death OR fall-rescue with persistent power
-      if (frog.y > g.cameraY + CANVAS_HEIGHT + 100) {
-        if (hasPersistentPower(frog)) {
-          // Fall-rescue: teleport back, lose power
-          frog.y = g.cameraY + CANVAS_HEIGHT * 0.5;
-          frog.vy = JUMP_FORCE * 1.5;
-          frog.x = CANVAS_WIDTH / 2 - frog.width / 2;
-
-          clearAllPowers(frog);
-
-          frog.invincible = true;
-          frog.invincibleTimer = 60;
-          frog.flashTimer = 60;
-
-          g.particles.push(...createParticles(frog.x + frog.width/2, frog.y + frog.height/2, '#FFD700', 12));
-          activateNextQueuedPower(frog);
-        } else {
-          setHighScore(prev => Math.max(prev, g.score));
-          setGameState('gameover');
+    // Keep the last step's positions so draw() can interpolate between steps
+    const storePreviousPositions = () => {
+      const g = gameRef.current;
+      g.prevCameraY = g.cameraY;
+      for (const list of [[g.frog], g.platforms, g.gems, g.powerups, g.enemies, g.bullets, g.enemyShots]) {
+        for (const entity of list) {
+          entity.prevX = entity.x;
+          entity.prevY = entity.y;
         }
       }
     };
 
-    const draw = () => {
+    // alpha: how far (0-1) the display time is between the last two steps
+    const draw = (alpha = 1) => {
       const g = gameRef.current;
+      const cameraY = interpolate(g.prevCameraY, g.cameraY, alpha);
+
+      // Draw an entity at its interpolated position. Draw functions read x
+      // from the entity, so the horizontal blend is applied as a translation.
+      const drawEntity = (entity, drawFn) => {
+        if (!isOnScreen(entity.y, g.cameraY)) return;
+        const screenY = interpolate(entity.prevY, entity.y, alpha) - cameraY;
+        const dx = interpolateX(entity.prevX, entity.x, alpha) - entity.x;
+        if (dx === 0) {
+          drawFn(ctx, entity, screenY, g.time);
+          return;
+        }
+        ctx.save();
+        ctx.translate(dx, 0);
+        drawFn(ctx, entity, screenY, g.time);
+        ctx.restore();
+      };
 
-      drawBackground(ctx, g);
+      // Sky, clouds and hills fill the canvas; everything else stays
+      // inside the world
+      const view = viewportRef.current;
+      const area = getVisibleArea(view);
+      applyWorldTransform(ctx, view);
+      drawBackground(ctx, g, area);
 
       for (const cloud of g.clouds) {
-        const screenY = cloud.y - g.cameraY;
+        const screenY = cloud.y - cameraY;
         ctx.globalAlpha = cloud.opacity;
         drawCloud(ctx, cloud.x, screenY, cloud.width);
       }
       ctx.globalAlpha = 1;
 
-      drawHills(ctx, g.cameraY);
+      drawHills(ctx, cameraY, area);
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+      ctx.clip();
 
       for (const platform of g.platforms) {
         if (platform.broken) continue;
-        const screenY = platform.y - g.cameraY;
-        if (!isOnScreen(platform.y, g.cameraY)) continue;
-        drawPlatform(ctx, platform, screenY);
+        drawEntity(platform, drawPlatform);
       }
 
       for (const gem of g.gems) {
         if (gem.collected) continue;
-        const screenY = gem.y - g.cameraY;
-        if (!isOnScreen(gem.y, g.cameraY)) continue;
-        drawGem(ctx, gem, screenY);
+        drawEntity(gem, drawGem);
       }
 
       for (const powerup of g.powerups) {
         if (powerup.collected) continue;
-        const screenY = powerup.y - g.cameraY;
-        if (!isOnScreen(powerup.y, g.cameraY)) continue;
-        drawPowerup(ctx, powerup, screenY);
+        drawEntity(powerup, drawPowerup);
       }
 
       for (const enemy of g.enemies) {
-        const screenY = enemy.y - g.cameraY;
-        if (!isOnScreen(enemy.y, g.cameraY)) continue;
-        drawEnemy(ctx, enemy, screenY);
+        drawEntity(enemy, drawEnemy);
       }
 
       for (const bullet of g.bullets) {
-        const screenY = bullet.y - g.cameraY;
-        if (!isOnScreen(bullet.y, g.cameraY)) continue;
-        drawBullet(ctx, bullet, screenY);
+        drawEntity(bullet, drawBullet);
       }
 
-      // Particles
-      for (const p of g.particles) {
-        const screenY = p.y - g.cameraY;
-        ctx.globalAlpha = p.life / 40;
-        ctx.fillStyle = p.color;
-        ctx.beginPath();
-        ctx.arc(p.x, screenY, p.size, 0, Math.PI * 2);
-        ctx.fill();
+      for (const shot of g.enemyShots) {
+        drawEntity(shot, drawEnemyShot);
       }
-      ctx.globalAlpha = 1;
 
-      const frogScreenY = g.frog.y - g.cameraY;
-      drawFrog(ctx, g.frog, g.frog.x, frogScreenY);
+      // Particles (reduced motion leaves out the bursts)
+      if (!settingsRef.current.reducedMotion) {
+        const gemColors = getGemColors(settingsRef.current);
+        for (const p of g.particles) {
+          const screenY = p.y - cameraY;
+          ctx.globalAlpha = p.life / 40;
+          ctx.fillStyle = p.gem ? gemColors[p.gem].main : p.color;
+          ctx.beginPath();
+          ctx.arc(p.x, screenY, p.size, 0, Math.PI * 2);
+          ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+      }
+
+      const frog = g.frog;
+      const frogX = interpolateX(frog.prevX, frog.x, alpha);
+      const frogScreenY = interpolate(frog.prevY, frog.y, alpha) - cameraY;
+      drawFrog(ctx, frog, frogX, frogScreenY, g.time);
 
-      drawHUD(ctx, g.frog, g.score);
+      drawHUD(ctx, g.frog, g.score, g.level, g.mode);
+      if (g.startLives > 1) withHudScale(ctx, CANVAS_WIDTH / 2, () => drawLives(ctx, g.lives));
+
+      if (g.levelBannerTimer > 0) drawLevelBanner(ctx, g.level, g.levelBannerTimer);
+      if (lifeLostRef.current > 0) drawLifeLost(ctx, g.lives, lifeLostRef.current);
+      if (gameStateRef.current === 'starting') drawCountdown(ctx, countdownRef.current);
+      ctx.restore();
     };
 
-    const gameLoop = () => {
-      update();
-      draw();
+    // Accumulator loop: run as many fixed steps as real time demands, then
+    // draw once with the leftover fraction as the interpolation factor
+    let lastTime = null;
+    let accumulator = 0;
+    // Frames drawn since the FPS counter last updated
+    const fps = { frames: 0, since: null, value: 0 };
+
+    const gameLoop = (now) => {
+      if (lastTime === null) lastTime = now;
+      accumulator += Math.min(now - lastTime, MAX_FRAME_DELTA_MS);
+      lastTime = now;
+
+      let steps = 0;
+      while (accumulator >= FIXED_STEP_MS && steps < MAX_CATCH_UP_STEPS) {
+        storePreviousPositions();
+        step();
+        accumulator -= FIXED_STEP_MS;
+        steps++;
+      }
+      // Too far behind: drop the backlog instead of fast-forwarding
+      if (accumulator >= FIXED_STEP_MS) accumulator = 0;
+
+      draw(accumulator / FIXED_STEP_MS);
+
+      fps.frames++;
+      if (fps.since === null) fps.since = now;
+      if (now - fps.since >= FPS_SAMPLE_MS) {
+        fps.value = Math.round(fps.frames * 1000 / (now - fps.since));
+        fps.frames = 0;
+        fps.since = now;
+      }
+      if (settingsRef.current.showFps) drawFps(ctx, fps.value);
+
       animationId = requestAnimationFrame(gameLoop);
     };
 
     initGame();
-    gameLoop();
+    animationId = requestAnimationFrame(gameLoop);
 
     return () => cancelAnimationFrame(animationId);
-  }, [initGame, generatePlatform]);
+  }, [initGame, achievements]);
+
+  // Show unlocked achievements one at a time
+  useEffect(() => {
+    if (achievementToasts.length === 0) return;
+    const timer = setTimeout(() => setAchievementToasts(prev => prev.slice(1)), ACHIEVEMENT_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [achievementToasts]);
 
   // ============== INPUT HANDLING ==============
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Let text fields (replay import, player name) receive their own keys
+      if (e.target instanceof HTMLTextAreaElement || e.target instanceof HTMLInputElement) return;
       const key = e.key.toLowerCase();
-      if (key === 'arrowleft' || key === 'a') gameRef.current.keys.left = true;
-      if (key === 'arrowright' || key === 'd') gameRef.current.keys.right = true;
-      if (e.key === ' ') {
+      const state = gameStateRef.current;
+
+      // Rebinding takes the next key (Esc cancels)
+      if (rebindingRef.current?.device === 'keys') {
         e.preventDefault();
-        if (gameStateRef.current !== 'playing') {
-          initGame();
-          setGameState('playing');
-        } else {
-          gameRef.current.keys.shoot = true;
+        finishRebinding(key === 'escape' ? null : key);
+        return;
+      }
+
+      const action = getKeyAction(controlsRef.current.bindings, key);
+      if (action === 'mute') {
+        toggleMute();
+        return;
+      }
+      if (action === 'pause') {
+        if (state === 'paused') resumeGame();
+        else pauseGame();
+        return;
+      }
+      if (state === 'paused') {
+        if (action === 'shoot' || key === 'enter') {
+          e.preventDefault();
+          resumeGame();
         }
+        return;
       }
-      if (e.key === 'Enter' && gameStateRef.current !== 'playing') {
-        initGame();
-        setGameState('playing');
+
+      if (action === 'left') keysRef.current.left = true;
+      if (action === 'right') keysRef.current.right = true;
+      // Movement keys are tracked during Ready/Go but only take effect once
+      // play starts; fire/Enter neither shoot nor restart until then
+      const canStart = state === 'menu' || state === 'gameover';
+      if (action === 'shoot') {
+        e.preventDefault();
+        if (canStart) {
+          startGame(nextRunMode());
+        } else if (state === 'playing') {
+          keysRef.current.shoot = true;
+        }
+      }
+      if (key === 'enter' && canStart) {
+        startGame(nextRunMode());
       }
     };
 
     const handleKeyUp = (e) => {
-      const key = e.key.toLowerCase();
-      if (key === 'arrowleft' || key === 'a') gameRef.current.keys.left = false;
-      if (key === 'arrowright' || key === 'd') gameRef.current.keys.right = false;
-      if (e.key === ' ') gameRef.current.keys.shoot = false;
+      const action = getKeyAction(controlsRef.current.bindings, e.key.toLowerCase());
+      if (action in keysRef.current) keysRef.current[action] = false;
     };
 
     window.addEventListener('keydown', handleKeyDown);
@@ -1587,72 +1830,363 @@ export default function JumpyFrog() {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, [initGame]);
+  }, [startGame, pauseGame, resumeGame]);
+
+  // Gamepads have no button events, so they are polled every frame. Held
+  // actions feed readInput; pause and fire also react to fresh presses to
+  // pause/resume and start runs, like their keys. While rebinding, the next
+  // pressed button is taken instead.
+  useEffect(() => {
+    if (!navigator.getGamepads) return;
+    let pollId;
+
+    const poll = () => {
+      const previous = gamepadRef.current;
+      const pad = readGamepad(controlsRef.current.bindings);
+      gamepadRef.current = pad;
+
+      if (pad && previous) {
+        const pressed = (held, last) => held && !last;
+        const state = gameStateRef.current;
+        if (rebindingRef.current?.device === 'gamepad') {
+          const button = pad.buttons.findIndex((down, i) => pressed(down, previous.buttons[i]));
+          if (button !== -1) finishRebinding(button);
+        } else if (pressed(pad.held.mute, previous.held.mute)) {
+          toggleMute();
+        } else if (pressed(pad.held.pause, previous.held.pause)) {
+          if (state === 'paused') resumeGame();
+          else pauseGame();
+        } else if (pressed(pad.held.shoot, previous.held.shoot)) {
+          if (state === 'paused') resumeGame();
+          else if (state === 'menu' || state === 'gameover') startGame(nextRunMode());
+        }
+      }
+      pollId = requestAnimationFrame(poll);
+    };
+
+    pollId = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(pollId);
+  }, [startGame, pauseGame, resumeGame]);
+
+  // Auto-pause when the tab is hidden or the window loses focus
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.hidden) pauseGame();
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', pauseGame);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', pauseGame);
+    };
+  }, [pauseGame]);
+
+  // Browsers only allow audio after a user gesture, so every tap or key
+  // makes sure the context is created and running
+  useEffect(() => {
+    const unlock = () => unlockAudio(audio);
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('touchend', unlock);
+    window.addEventListener('keydown', unlock);
+    return () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('touchend', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+  }, [audio]);
+
+  // Background music plays during runs and stops on pause and game over
+  useEffect(() => {
+    if (gameState === 'starting' || gameState === 'playing') startMusic(audio);
+    else stopMusic(audio);
+  }, [gameState, audio]);
+
+  useEffect(() => () => stopMusic(audio), [audio]);
 
   const handleCanvasClick = (e) => {
-    const rect = canvasRef.current.getBoundingClientRect();
-    const x = (e.clientX - rect.left) * (CANVAS_WIDTH / rect.width);
-    const y = (e.clientY - rect.top) * (CANVAS_HEIGHT / rect.height);
+    const { x, y } = toWorld(viewportRef.current, canvasRef.current.getBoundingClientRect(), e.clientX, e.clientY);
 
     if (gameState === 'menu') {
       const dist = Math.sqrt((x - CANVAS_WIDTH / 2) ** 2 + (y - 400) ** 2);
       if (dist < 60) {
-        initGame();
-        setGameState('playing');
+        startGame(MODE_CLASSIC);
       }
     } else if (gameState === 'gameover') {
       if (x > CANVAS_WIDTH / 2 - 80 && x < CANVAS_WIDTH / 2 + 80 && y > 420 && y < 470) {
-        initGame();
-        setGameState('playing');
+        startGame(gameMode);
       }
     }
   };
 
-  const handleTouchStart = (e) => {
-    const touch = e.touches[0];
-    const rect = canvasRef.current.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
+  // Tilt readings while tilt steering is on
+  useEffect(() => {
+    if (!controls.tilt) return;
+    const handleOrientation = (e) => {
+      if (e.gamma !== null) tiltRef.current = e.gamma;
+    };
+    window.addEventListener('deviceorientation', handleOrientation);
+    return () => {
+      window.removeEventListener('deviceorientation', handleOrientation);
+      tiltRef.current = null;
+    };
+  }, [controls.tilt]);
 
-    if (gameState === 'playing') {
-      if (x < rect.width / 2) gameRef.current.keys.left = true;
-      else gameRef.current.keys.right = true;
-    } else {
-      handleCanvasClick({ clientX: touch.clientX, clientY: touch.clientY });
-    }
+  // On-screen buttons: held while any pointer that went down on them is down.
+  // Each pointer is captured by the button it started on.
+  const touchButtonHandlers = (control) => {
+    const release = (e) => touchRef.current[control].delete(e.pointerId);
+    return {
+      onPointerDown: (e) => {
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        touchRef.current[control].add(e.pointerId);
+      },
+      onPointerUp: release,
+      onPointerCancel: release,
+      onLostPointerCapture: release,
+      onContextMenu: (e) => e.preventDefault()
+    };
   };
 
-  const handleTouchEnd = () => {
-    gameRef.current.keys.left = false;
-    gameRef.current.keys.right = false;
-  };
+  const showTouchButtons = touchDevice && !watchingReplay && (gameState === 'playing' || gameState === 'starting');
 
   // ============== RENDER ==============
   return (
-    <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-slate-900 to-slate-800 p-4">
-      <div className="relative">
-        <canvas
-          ref={canvasRef}
-          width={CANVAS_WIDTH}
-          height={CANVAS_HEIGHT}
-          onClick={handleCanvasClick}
-          onTouchStart={handleTouchStart}
-          onTouchEnd={handleTouchEnd}
-          className="rounded-2xl shadow-2xl"
-          style={{ touchAction: 'none', maxHeight: '90vh', maxWidth: '100%' }}
-        />
+    <div ref={stageRef} className="relative w-full h-dvh overflow-hidden bg-gradient-to-br from-slate-900 to-slate-800">
+      <canvas
+        ref={canvasRef}
+        onClick={handleCanvasClick}
+        className="absolute inset-0 w-full h-full"
+        style={{ touchAction: 'none' }}
+      />
+      {/* Menus and buttons sit over the world, wherever it is on the canvas */}
+      <div className="absolute" style={getWorldRect(viewport)}>
+
+        {gameState === 'playing' && (
+          <button
+            onClick={pauseGame}
+            className="absolute top-2 right-2 transition-transform hover:scale-105"
+            title="Pause (Esc / P)"
+          >
+            <AtlasImage
+              atlas={atlas}
+              name="menu-btn"
+              hoverName="menu-btn-over"
+              width={36}
+              height={36}
+              fallback={<span className="w-9 h-9 rounded-full bg-slate-700/80 border-2 border-white/70 flex items-center justify-center text-white font-bold">❚❚</span>}
+            />
+          </button>
+        )}
+
+        {showTouchButtons && (
+          <div className="absolute inset-x-0 bottom-0 p-3 flex items-end justify-between pointer-events-none select-none">
+            <div className={`flex gap-3 ${controls.tilt ? 'invisible' : ''}`}>
+              {['left', 'right'].map(side => (
+                <button
+                  key={side}
+                  {...touchButtonHandlers(side)}
+                  className="pointer-events-auto opacity-70 active:opacity-100"
+                  style={{ touchAction: 'none' }}
+                >
+                  <AtlasImage
+                    atlas={atlas}
+                    name={`${side}-control-white`}
+                    width={72}
+                    height={72}
+                    fallback={<span className="w-[72px] h-[72px] rounded-full bg-white/30 border-4 border-white/70 flex items-center justify-center text-white text-3xl font-bold">{side === 'left' ? '◀' : '▶'}</span>}
+                  />
+                </button>
+              ))}
+            </div>
+            <button
+              {...touchButtonHandlers('shoot')}
+              className="pointer-events-auto opacity-70 active:opacity-100"
+              style={{ touchAction: 'none' }}
+            >
+              <AtlasImage
+                atlas={atlas}
+                name="power-btn"
+                width={72}
+                height={72}
+                fallback={<span className="w-[72px] h-[72px] rounded-full bg-red-500/60 border-4 border-white/70 flex items-center justify-center text-3xl">🔥</span>}
+              />
+            </button>
+          </div>
+        )}
+
+        {gameState === 'paused' && (
+          <div className="absolute inset-0 bg-black/60 rounded-2xl flex flex-col items-center justify-center">
+            <AtlasImage
+              atlas={atlas}
+              name="paused-txt"
+              width={269}
+              height={76}
+              className="mb-6"
+              fallback={<h1 className="text-5xl font-bold text-yellow-400 drop-shadow-lg mb-6" style={{ textShadow: '3px 3px 0 #854d0e' }}>PAUSED</h1>}
+            />
+            <button
+              onClick={resumeGame}
+              className="px-8 py-3 bg-green-500 hover:bg-green-400 text-white font-bold text-xl rounded-xl shadow-lg transition-transform hover:scale-105"
+            >
+              RESUME
+            </button>
+            <button
+              onClick={restartRun}
+              className="mt-3 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              RESTART
+            </button>
+            <button
+              onClick={() => setShowSettings(true)}
+              className="mt-3 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              SETTINGS
+            </button>
+            <button
+              onClick={quitToMenu}
+              className="mt-4 flex items-center gap-2 transition-transform hover:scale-105"
+            >
+              <AtlasImage
+                atlas={atlas}
+                name="home-icon-btn"
+                hoverName="home-icon-btn-over"
+                width={44}
+                height={44}
+                fallback={<span className="w-11 h-11 rounded-full bg-slate-600 border-4 border-slate-800 flex items-center justify-center text-xl">🏠</span>}
+              />
+              <span className="text-white font-bold">Quit to menu</span>
+            </button>
+            <p className="text-white/60 text-sm mt-6">{keyList('pause')} to resume</p>
+          </div>
+        )}
 
         {gameState === 'menu' && (
           <div className="absolute inset-0 bg-black/50 rounded-2xl flex flex-col items-center justify-center">
+            <button
+              onClick={() => setShowSettings(true)}
+              className="absolute top-3 right-3 transition-transform hover:scale-105"
+              title="Settings"
+            >
+              <AtlasImage
+                atlas={atlas}
+                name="settings-btn-default"
+                hoverName="settings-btn-over-m"
+                width={44}
+                height={44}
+                fallback={<span className="w-11 h-11 rounded-full bg-slate-600 border-4 border-slate-800 flex items-center justify-center text-xl">⚙️</span>}
+              />
+            </button>
             <h1 className="text-5xl font-bold text-green-400 drop-shadow-lg mb-2" style={{ textShadow: '3px 3px 0 #166534' }}>JUMPY</h1>
             <h1 className="text-5xl font-bold text-green-400 drop-shadow-lg mb-4" style={{ textShadow: '3px 3px 0 #166534' }}>FROG</h1>
             <button
-              onClick={() => { initGame(); setGameState('playing'); }}
+              onClick={() => startGame(MODE_CLASSIC)}
               className="w-28 h-28 rounded-full bg-green-500 hover:bg-green-400 flex items-center justify-center shadow-xl border-4 border-green-700 transition-transform hover:scale-105"
             >
               <div className="w-0 h-0 border-l-[30px] border-l-white border-y-[20px] border-y-transparent ml-2" />
             </button>
-            <p className="text-white mt-6 text-lg">← → or A/D to move</p>
-            <p className="text-cyan-400 mt-1">⎵ SPACE to shoot (with weapons)</p>
+            <div className="mt-4 flex gap-4">
+              <button
+                onClick={() => startGame(MODE_DAILY)}
+                className="flex items-center gap-2 transition-transform hover:scale-105"
+              >
+                <AtlasImage
+                  atlas={atlas}
+                  name="challenge_icon_btn"
+                  hoverName="challenge_icon_btn_over"
+                  width={44}
+                  height={44}
+                  fallback={<span className="w-11 h-11 rounded-full bg-orange-500 border-4 border-orange-700 flex items-center justify-center text-xl">📅</span>}
+                />
+                <span className="text-orange-300 font-bold">Daily Challenge</span>
+              </button>
+              <button
+                onClick={() => setLivesMode(on => !on)}
+                className={`flex items-center gap-2 transition-transform hover:scale-105 ${livesMode ? '' : 'opacity-60'}`}
+                title="Lives mode: respawn after a death until your lives run out"
+              >
+                <AtlasImage
+                  atlas={atlas}
+                  name="life_icon_btn"
+                  hoverName="life_icon_btn_over"
+                  width={44}
+                  height={44}
+                  fallback={<span className="w-11 h-11 rounded-full bg-pink-500 border-4 border-pink-700 flex items-center justify-center text-xl">❤️</span>}
+                />
+                <span className="text-pink-300 font-bold">{livesMode ? `Lives: ${LIVES_MODE_LIVES}` : 'Lives: off'}</span>
+              </button>
+            </div>
+            <div className="mt-2 flex gap-4">
+              <button
+                onClick={() => setShowLeaderboard(true)}
+                className="flex items-center gap-2 transition-transform hover:scale-105"
+              >
+                <AtlasImage
+                  atlas={atlas}
+                  name="leaderboard-icon-btn"
+                  hoverName="leaderboard-icon-btn-over"
+                  width={44}
+                  height={44}
+                  fallback={<span className="w-11 h-11 rounded-full bg-yellow-500 border-4 border-yellow-700 flex items-center justify-center text-xl">🏆</span>}
+                />
+                <span className="text-yellow-300 font-bold">Leaderboard</span>
+              </button>
+              <button
+                onClick={() => setShowAchievements(true)}
+                className="flex items-center gap-2 transition-transform hover:scale-105"
+              >
+                <AtlasImage
+                  atlas={atlas}
+                  name="achievements-icon-btn"
+                  hoverName="achievements-icon-btn-over"
+                  width={44}
+                  height={44}
+                  fallback={<span className="w-11 h-11 rounded-full bg-purple-500 border-4 border-purple-700 flex items-center justify-center text-xl">🏅</span>}
+                />
+                <span className="text-purple-300 font-bold">Achievements</span>
+              </button>
+            </div>
+            <div className="mt-3 flex items-center gap-4">
+              <button
+                onClick={() => setShowShop(true)}
+                className="px-4 py-1 rounded-full bg-emerald-600 hover:bg-emerald-500 text-white font-bold text-sm shadow-lg transition-transform hover:scale-105"
+              >
+                🛒 Shop · 💎 {shop.gems}
+              </button>
+              <button
+                onClick={() => setShowCharacters(true)}
+                className="px-4 py-1 rounded-full bg-sky-600 hover:bg-sky-500 text-white font-bold text-sm shadow-lg transition-transform hover:scale-105"
+              >
+                🐸 {getSkin(shop.equipped).name}
+              </button>
+              <button
+                onClick={() => { setReplayError(''); setShowReplayImport(true); }}
+                className="text-sm text-white/70 underline hover:text-white"
+              >
+                Watch a replay
+              </button>
+            </div>
+            {touchDevice ? (
+              <>
+                <p className="text-white mt-6 text-lg">◀ ▶ buttons {controls.tilt ? 'or tilt ' : ''}to move</p>
+                <p className="text-cyan-400 mt-1">🔥 to lash your tongue (or shoot with weapons)</p>
+              </>
+            ) : (
+              <>
+                <p className="text-white mt-6 text-lg">{keyList('left')} · {keyList('right')} to move</p>
+                <p className="text-cyan-400 mt-1">{keyList('shoot')} to lash your tongue (or shoot with weapons)</p>
+              </>
+            )}
+            <p className="text-white/70 text-sm mt-1">
+              {keyList('pause')} to pause ·{' '}
+              <button
+                onClick={() => { setTiltError(''); setShowControls(true); }}
+                className="underline hover:text-white"
+              >
+                Controls & gamepad
+              </button>
+            </p>
             <div className="mt-4 text-center max-w-xs">
               <p className="text-yellow-400 font-bold text-sm">POWER-UPS:</p>
               <p className="text-green-400 text-xs mt-1">🛡️ PERSISTENT (until hit/fall/replaced):</p>
@@ -1666,17 +2200,558 @@ export default function JumpyFrog() {
           </div>
         )}
 
-        {gameState === 'gameover' && (
+        {gameState === 'menu' && showReplayImport && (
+          <div className="absolute inset-0 bg-black/80 rounded-2xl flex flex-col items-center justify-center p-6">
+            <h2 className="text-3xl font-bold text-cyan-400 mb-4">WATCH REPLAY</h2>
+            <p className="text-white/70 text-sm mb-2">Paste a replay code:</p>
+            <textarea
+              ref={replayInputRef}
+              className="w-full h-32 p-2 rounded-lg bg-slate-900 text-white text-xs font-mono"
+              autoFocus
+            />
+            {replayError && <p className="text-red-400 text-sm mt-2">{replayError}</p>}
+            <div className="flex gap-3 mt-4">
+              <button
+                onClick={() => handleImportReplay(replayInputRef.current.value)}
+                className="px-6 py-2 bg-green-500 hover:bg-green-400 text-white font-bold rounded-xl shadow-lg"
+              >
+                WATCH
+              </button>
+              <button
+                onClick={() => setShowReplayImport(false)}
+                className="px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+              >
+                BACK
+              </button>
+            </div>
+          </div>
+        )}
+
+        {gameState === 'gameover' && watchingReplay && (
+          <div className="absolute inset-0 bg-black/70 rounded-2xl flex flex-col items-center justify-center">
+            <h1 className="text-5xl font-bold text-cyan-400 drop-shadow-lg mb-4" style={{ textShadow: '3px 3px 0 #155e75' }}>REPLAY OVER</h1>
+            <p className="text-white text-3xl font-bold mb-6">Score: {score}</p>
+            <button
+              onClick={() => startReplay(replayRef.current.playback.replay)}
+              className="px-8 py-3 bg-green-500 hover:bg-green-400 text-white font-bold text-xl rounded-xl shadow-lg transition-transform hover:scale-105"
+            >
+              WATCH AGAIN
+            </button>
+            <button
+              onClick={() => setGameState('menu')}
+              className="mt-3 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              MENU
+            </button>
+          </div>
+        )}
+
+        {gameState === 'gameover' && !watchingReplay && (
           <div className="absolute inset-0 bg-black/70 rounded-2xl flex flex-col items-center justify-center">
             <h1 className="text-5xl font-bold text-orange-500 drop-shadow-lg mb-4" style={{ textShadow: '3px 3px 0 #9a3412' }}>GAME OVER</h1>
             <p className="text-white text-3xl font-bold mb-2">Score: {score}</p>
-            {score >= highScore && score > 0 && <p className="text-yellow-400 text-xl font-bold mb-4">NEW HIGH SCORE!</p>}
+            {gameMode === MODE_DAILY && <p className="text-orange-300 font-bold mb-2">Daily Challenge · {getDateKey()}</p>}
+            {score > previousBest && <p className="text-yellow-400 text-xl font-bold mb-4">NEW HIGH SCORE!</p>}
+            {lastRun && (
+              <p className="text-white/80 text-sm mb-4">⛰️ {lastRun.altitude} m · 💎 {lastRun.gems} · 👾 {lastRun.kills}</p>
+            )}
+            {lastRun && !savedEntry && qualifiesForLeaderboard(leaderboard, lastRun.score) && (
+              <div className="mb-4 flex flex-col items-center">
+                <p className="text-yellow-300 font-bold text-sm mb-1">You made the leaderboard! Enter your name:</p>
+                <div className="flex gap-2">
+                  <input
+                    value={playerName}
+                    onChange={(e) => setPlayerName(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') handleSaveScore(); }}
+                    maxLength={MAX_NAME_LENGTH}
+                    placeholder="Frog"
+                    className="w-40 px-3 py-2 rounded-lg bg-slate-900 text-white font-bold"
+                    autoFocus
+                  />
+                  <button
+                    onClick={handleSaveScore}
+                    className="px-4 py-2 bg-yellow-500 hover:bg-yellow-400 text-slate-900 font-bold rounded-lg shadow-lg"
+                  >
+                    SAVE
+                  </button>
+                </div>
+              </div>
+            )}
+            {savedEntry && (
+              <button
+                onClick={() => setShowLeaderboard(true)}
+                className="mb-4 text-yellow-300 font-bold text-sm underline hover:text-yellow-200"
+              >
+                Saved! View leaderboard
+              </button>
+            )}
             <button
-              onClick={() => { initGame(); setGameState('playing'); }}
+              onClick={() => startGame(gameMode)}
               className="px-8 py-3 bg-green-500 hover:bg-green-400 text-white font-bold text-xl rounded-xl shadow-lg transition-transform hover:scale-105"
             >
               PLAY AGAIN
             </button>
+            <button
+              onClick={handleExportReplay}
+              className="mt-3 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              EXPORT REPLAY
+            </button>
+            {replayCode && (
+              <div className="mt-3 w-72 text-center">
+                <p className="text-white/70 text-xs mb-1">Replay code (copied to clipboard):</p>
+                <textarea
+                  readOnly
+                  value={replayCode}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full h-16 p-2 rounded-lg bg-slate-900 text-white text-xs font-mono"
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {showLeaderboard && (
+          <div className="absolute inset-0 bg-black/85 rounded-2xl flex flex-col items-center justify-center p-6">
+            <AtlasImage
+              atlas={atlas}
+              name="highscores"
+              width={176}
+              height={31}
+              className="mb-4"
+              fallback={<h2 className="text-3xl font-bold text-yellow-400 mb-4">HIGH SCORES</h2>}
+            />
+            {leaderboard.length === 0 ? (
+              <p className="text-white/70 my-8">No runs yet. Go jump!</p>
+            ) : (
+              <table className="w-full text-white text-sm">
+                <thead>
+                  <tr className="text-white/60 text-xs">
+                    <th className="text-left">#</th>
+                    <th className="text-left">Name</th>
+                    <th className="text-right" title="Lives at the start of the run">❤️</th>
+                    <th className="text-right">Score</th>
+                    <th className="text-right">⛰️</th>
+                    <th className="text-right">💎</th>
+                    <th className="text-right">👾</th>
+                    <th className="text-right">Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {leaderboard.map((entry, i) => (
+                    <tr key={`${entry.date}-${i}`} className={entry === savedEntry ? 'text-yellow-300 font-bold' : ''}>
+                      <td className="py-1">{i + 1}</td>
+                      <td className="py-1 truncate max-w-[6rem]">
+                        {entry.name}{entry.mode === MODE_DAILY && ' 📅'}
+                      </td>
+                      <td className="py-1 text-right">{entry.lives ?? 1}</td>
+                      <td className="py-1 text-right font-bold">{entry.score}</td>
+                      <td className="py-1 text-right">{entry.altitude}m</td>
+                      <td className="py-1 text-right">{entry.gems}</td>
+                      <td className="py-1 text-right">{entry.kills}</td>
+                      <td className="py-1 text-right text-white/60 text-xs">{new Date(entry.date).toLocaleDateString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <button
+              onClick={() => setShowLeaderboard(false)}
+              className="mt-6 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              BACK
+            </button>
+          </div>
+        )}
+
+        {showCharacters && (
+          <div className="absolute inset-0 bg-black/85 rounded-2xl flex flex-col items-center p-6">
+            <h2 className="text-3xl font-bold text-sky-400 mb-1">CHOOSE YOUR FROG</h2>
+            <p className="text-white/60 text-xs mb-4">Each frog has its own perk. Unlock more in the shop.</p>
+            <div className="w-full flex-1 overflow-y-auto flex flex-col gap-2">
+              {FROG_SKINS.map(skin => {
+                const owned = ownsSkin(shop, skin);
+                const selected = shop.equipped === skin.id;
+                return (
+                  <button
+                    key={skin.id}
+                    onClick={() => updateShop(prev => equipSkin(prev, skin))}
+                    disabled={!owned}
+                    className={`flex items-center gap-3 p-2 rounded-xl text-left ${selected ? 'bg-sky-900/70 ring-2 ring-sky-400' : 'bg-slate-800/70 hover:bg-slate-700/70'} disabled:hover:bg-slate-800/70`}
+                  >
+                    <div className={owned ? '' : 'opacity-30 grayscale'}>
+                      <AtlasImage
+                        atlas={atlas}
+                        name={skin.region}
+                        width={56}
+                        height={56}
+                        fallback={<span className="w-14 h-14 flex items-center justify-center text-4xl">🐸</span>}
+                      />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className={`font-bold ${owned ? 'text-white' : 'text-white/50'}`}>{skin.name}</p>
+                      <p className="text-white/60 text-xs">{getCharacterPerks(skin.id).description}</p>
+                    </div>
+                    <p className="text-xs font-bold text-right">
+                      {selected
+                        ? <span className="text-sky-300">SELECTED</span>
+                        : owned ? <span className="text-white/70">SELECT</span> : <span className="text-white/50">🔒 💎 {skin.price}</span>}
+                    </p>
+                  </button>
+                );
+              })}
+            </div>
+            <div className="flex gap-3 mt-4">
+              <button
+                onClick={() => { setShowCharacters(false); setShowShop(true); }}
+                className="px-6 py-2 bg-emerald-600 hover:bg-emerald-500 text-white font-bold rounded-xl shadow-lg"
+              >
+                SHOP
+              </button>
+              <button
+                onClick={() => setShowCharacters(false)}
+                className="px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+              >
+                BACK
+              </button>
+            </div>
+          </div>
+        )}
+
+        {showSettings && (
+          <div className="absolute inset-0 bg-black/85 rounded-2xl flex flex-col items-center p-6">
+            <h2 className="text-3xl font-bold text-sky-400 mb-4">SETTINGS</h2>
+            <div className="w-full flex-1 overflow-y-auto flex flex-col gap-4 text-white text-sm">
+              <section className="flex flex-col gap-2">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-yellow-400 font-bold">Sound</h3>
+                  <button
+                    onClick={toggleMute}
+                    className={`px-3 py-1 rounded-lg font-bold ${audioSettings.muted ? 'bg-slate-600 hover:bg-slate-500' : 'bg-sky-600 hover:bg-sky-500'}`}
+                  >
+                    {audioSettings.muted ? '🔇 Muted' : '🔊 On'}
+                  </button>
+                </div>
+                {[['master', 'Master'], ['music', 'Music'], ['sfx', 'Effects']].map(([key, label]) => (
+                  <label key={key} className={audioSettings.muted ? 'opacity-50' : ''}>
+                    {label}: {Math.round(audioSettings[key] * 100)}%
+                    <input
+                      type="range"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={audioSettings[key]}
+                      onChange={(e) => updateAudio({ [key]: Number(e.target.value) })}
+                      className="w-full"
+                    />
+                  </label>
+                ))}
+                <p className="text-white/60 text-xs">{keyList('mute')} mutes and unmutes during play.</p>
+              </section>
+
+              <section className="flex flex-col gap-2 border-t border-white/20 pt-3">
+                <h3 className="text-yellow-400 font-bold">Controls</h3>
+                {touchDevice && hasTiltSupport() && (
+                  <div className="flex gap-2">
+                    {[[false, '◀ ▶ Buttons'], [true, '📱 Tilt']].map(([tilt, label]) => (
+                      <button
+                        key={label}
+                        onClick={() => { if (controls.tilt !== tilt) toggleTilt(); }}
+                        className={`flex-1 px-3 py-1 rounded-lg font-bold ${controls.tilt === tilt ? 'bg-sky-600' : 'bg-slate-700 hover:bg-slate-600'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {tiltError && <p className="text-red-400 text-xs">{tiltError}</p>}
+                <button
+                  onClick={() => { setTiltError(''); setShowControls(true); }}
+                  className="self-start underline text-white/80 hover:text-white"
+                >
+                  Key bindings, gamepad{touchDevice ? ' & tilt' : ''}…
+                </button>
+              </section>
+
+              <section className="flex flex-col gap-2 border-t border-white/20 pt-3">
+                <h3 className="text-yellow-400 font-bold">Display</h3>
+                {[
+                  ['reducedMotion', 'Reduced motion', 'No spinning sun or particle bursts'],
+                  ['showFps', 'Show FPS', 'Frame rate counter during play']
+                ].map(([key, label, hint]) => (
+                  <label key={key} className="flex items-center justify-between gap-2">
+                    <span>
+                      {label}
+                      <span className="block text-white/50 text-xs">{hint}</span>
+                    </span>
+                    <input
+                      type="checkbox"
+                      checked={settings[key]}
+                      onChange={(e) => updateSettings({ [key]: e.target.checked })}
+                      className="w-5 h-5"
+                    />
+                  </label>
+                ))}
+                <p>HUD size</p>
+                <div className="flex gap-2">
+                  {HUD_SCALES.map(scale => (
+                    <button
+                      key={scale}
+                      onClick={() => updateSettings({ hudScale: scale })}
+                      className={`flex-1 px-2 py-1 rounded-lg font-bold ${settings.hudScale === scale ? 'bg-sky-600' : 'bg-slate-700 hover:bg-slate-600'}`}
+                    >
+                      {Math.round(scale * 100)}%
+                    </button>
+                  ))}
+                </div>
+                <p>Gem colours</p>
+                <div className="flex flex-col gap-1">
+                  {Object.entries(GEM_PALETTES).map(([id, palette]) => (
+                    <button
+                      key={id}
+                      onClick={() => updateSettings({ gemPalette: id })}
+                      className={`flex items-center justify-between px-3 py-1 rounded-lg font-bold ${settings.gemPalette === id ? 'bg-sky-600' : 'bg-slate-700 hover:bg-slate-600'}`}
+                    >
+                      {palette.label}
+                      <span className="flex gap-1">
+                        {Object.entries(palette.colors).map(([gem, color]) => (
+                          <span key={gem} className="w-4 h-4 rounded-sm border border-black/40" style={{ background: color.main }} />
+                        ))}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </section>
+            </div>
+            <button
+              onClick={() => setShowSettings(false)}
+              className="mt-4 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              BACK
+            </button>
+          </div>
+        )}
+
+        {showControls && (
+          <div className="absolute inset-0 bg-black/85 rounded-2xl flex flex-col items-center p-6">
+            <h2 className="text-3xl font-bold text-sky-400 mb-1">CONTROLS</h2>
+            <p className="text-white/60 text-xs mb-4 text-center">Tap a binding, then press the new key or gamepad button. Esc cancels.</p>
+            <div className="w-full flex-1 overflow-y-auto flex flex-col gap-4">
+              <table className="w-full text-sm text-white">
+                <thead>
+                  <tr className="text-white/60 text-xs">
+                    <th className="text-left font-normal">Action</th>
+                    <th className="font-normal">Keyboard</th>
+                    <th className="font-normal">Gamepad</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ACTIONS.map(action => (
+                    <tr key={action}>
+                      <td className="py-1">{ACTION_LABELS[action]}</td>
+                      {[
+                        ['keys', controls.bindings.keys[action].map(getKeyLabel)],
+                        ['gamepad', controls.bindings.gamepad[action].map(getButtonLabel)]
+                      ].map(([device, labels]) => {
+                        const waiting = rebinding?.device === device && rebinding.action === action;
+                        return (
+                          <td key={device} className="py-1 px-1">
+                            <button
+                              onClick={() => setRebinding(waiting ? null : { device, action })}
+                              className={`w-full px-2 py-1 rounded-lg font-bold ${waiting ? 'bg-yellow-500 text-black animate-pulse' : 'bg-slate-700 hover:bg-slate-600'}`}
+                            >
+                              {waiting ? 'Press…' : labels.join(' / ') || '—'}
+                            </button>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-white/50 text-xs text-center">The gamepad's left stick also steers, faster the further it is pushed.</p>
+              <button
+                onClick={() => { setRebinding(null); updateControls({ bindings: DEFAULT_BINDINGS }); }}
+                className="self-center text-sm text-white/70 underline hover:text-white"
+              >
+                Reset to defaults
+              </button>
+
+              {touchDevice && (
+                <div className="flex flex-col items-center gap-3 border-t border-white/20 pt-4">
+                  <p className="text-white/60 text-xs text-center">Hold the on-screen arrows to move and the fire button to lash or shoot. Tilt steering replaces the arrows.</p>
+                  {hasTiltSupport() ? (
+                    <>
+                      <button
+                        onClick={toggleTilt}
+                        className={`px-6 py-2 rounded-xl font-bold shadow-lg text-white ${controls.tilt ? 'bg-sky-600 hover:bg-sky-500' : 'bg-slate-600 hover:bg-slate-500'}`}
+                      >
+                        📱 Tilt steering: {controls.tilt ? 'on' : 'off'}
+                      </button>
+                      {controls.tilt && (
+                        <>
+                          <label className="w-full max-w-xs text-white text-sm">
+                            Sensitivity: {controls.tiltSensitivity.toFixed(1)}×
+                            <input
+                              type="range"
+                              min={TILT_SENSITIVITY_MIN}
+                              max={TILT_SENSITIVITY_MAX}
+                              step={0.1}
+                              value={controls.tiltSensitivity}
+                              onChange={(e) => updateControls({ tiltSensitivity: Number(e.target.value) })}
+                              className="w-full"
+                            />
+                          </label>
+                          <button
+                            onClick={calibrateTilt}
+                            className="px-6 py-2 bg-emerald-600 hover:bg-emerald-500 text-white font-bold rounded-xl shadow-lg"
+                          >
+                            CALIBRATE
+                          </button>
+                          <p className="text-white/60 text-xs text-center">Hold the device the way you play and tap Calibrate to set the level position.</p>
+                        </>
+                      )}
+                      {tiltError && <p className="text-red-400 text-sm">{tiltError}</p>}
+                    </>
+                  ) : (
+                    <p className="text-white/70 text-sm">Tilt steering is not available on this device.</p>
+                  )}
+                </div>
+              )}
+            </div>
+            <button
+              onClick={() => { setRebinding(null); setShowControls(false); }}
+              className="mt-4 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              BACK
+            </button>
+          </div>
+        )}
+
+        {showShop && (
+          <div className="absolute inset-0 bg-black/85 rounded-2xl flex flex-col items-center p-6">
+            <h2 className="text-3xl font-bold text-emerald-400 mb-1">FROG SHOP</h2>
+            <p className="text-cyan-300 font-bold mb-4">💎 {shop.gems} gems</p>
+            <div className="w-full flex-1 overflow-y-auto grid grid-cols-2 gap-3">
+              {FROG_SKINS.map(skin => {
+                const owned = ownsSkin(shop, skin);
+                const equipped = shop.equipped === skin.id;
+                return (
+                  <div
+                    key={skin.id}
+                    className={`flex flex-col items-center p-2 rounded-xl ${equipped ? 'bg-emerald-900/70 ring-2 ring-emerald-400' : 'bg-slate-800/70'}`}
+                  >
+                    <AtlasImage
+                      atlas={atlas}
+                      name={skin.region}
+                      width={72}
+                      height={72}
+                      fallback={<span className="w-[72px] h-[72px] flex items-center justify-center text-5xl">🐸</span>}
+                    />
+                    <p className="text-white font-bold text-sm mt-1">{skin.name}</p>
+                    <p className="text-white/60 text-xs text-center">{getCharacterPerks(skin.id).description}</p>
+                    {equipped ? (
+                      <p className="text-emerald-300 text-xs font-bold mt-1 py-1">EQUIPPED</p>
+                    ) : owned ? (
+                      <button
+                        onClick={() => updateShop(prev => equipSkin(prev, skin))}
+                        className="mt-1 px-3 py-1 bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-bold rounded-lg"
+                      >
+                        EQUIP
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => updateShop(prev => buySkin(prev, skin))}
+                        disabled={!canBuySkin(shop, skin)}
+                        className="mt-1 px-3 py-1 bg-yellow-500 hover:bg-yellow-400 disabled:bg-slate-600 disabled:text-white/50 text-slate-900 text-xs font-bold rounded-lg"
+                      >
+                        BUY 💎 {skin.price}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <button
+              onClick={() => setShowShop(false)}
+              className="mt-4 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              BACK
+            </button>
+          </div>
+        )}
+
+        {showAchievements && (
+          <div className="absolute inset-0 bg-black/85 rounded-2xl flex flex-col items-center p-6">
+            <AtlasImage
+              atlas={atlas}
+              name="achievements"
+              width={224}
+              height={31}
+              className="mb-2"
+              fallback={<h2 className="text-3xl font-bold text-purple-300 mb-2">ACHIEVEMENTS</h2>}
+            />
+            <p className="text-white/60 text-xs mb-3">
+              {ACHIEVEMENTS.filter(a => isUnlocked(achievements, a)).length} / {ACHIEVEMENTS.length} unlocked
+            </p>
+            <div className="w-full flex-1 overflow-y-auto flex flex-col gap-2">
+              {ACHIEVEMENTS.map(achievement => {
+                const unlocked = isUnlocked(achievements, achievement);
+                return (
+                  <div key={achievement.id} className={`flex items-center gap-3 p-2 rounded-lg ${unlocked ? 'bg-purple-900/60' : 'bg-slate-800/60'}`}>
+                    <div className={unlocked ? '' : 'opacity-30 grayscale'}>
+                      <AtlasImage
+                        atlas={atlas}
+                        name={achievement.icon}
+                        width={40}
+                        height={40}
+                        fallback={<span className="w-10 h-10 flex items-center justify-center text-2xl">🏅</span>}
+                      />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className={`font-bold text-sm ${unlocked ? 'text-yellow-300' : 'text-white/70'}`}>{achievement.name}</p>
+                      <p className="text-white/60 text-xs">{achievement.description}</p>
+                    </div>
+                    <p className="text-white/60 text-xs text-right">
+                      {unlocked
+                        ? new Date(achievements.unlocked[achievement.id]).toLocaleDateString()
+                        : achievement.scope === 'total' && `${Math.min(getAchievementValue(achievements, achievement), achievement.goal)} / ${achievement.goal}`}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+            <button
+              onClick={() => setShowAchievements(false)}
+              className="mt-4 px-6 py-2 bg-slate-600 hover:bg-slate-500 text-white font-bold rounded-xl shadow-lg"
+            >
+              BACK
+            </button>
+          </div>
+        )}
+
+        {achievementToasts.length > 0 && (
+          <div
+            key={achievementToasts[0].id}
+            className="absolute top-14 left-1/2 -translate-x-1/2 w-80 bg-black/80 rounded-xl p-3 flex flex-col items-center shadow-xl pointer-events-none"
+          >
+            <AtlasImage
+              atlas={atlas}
+              name="you-have-obtained-an-achievement-"
+              width={301}
+              height={20}
+              fallback={<p className="text-yellow-300 font-bold text-sm">You have obtained an achievement!</p>}
+            />
+            <div className="flex items-center gap-2 mt-2">
+              <AtlasImage
+                atlas={atlas}
+                name={achievementToasts[0].icon}
+                width={36}
+                height={36}
+                fallback={<span className="text-2xl">🏅</span>}
+              />
+              <span className="text-white font-bold">{achievementToasts[0].name}</span>
+            </div>
           </div>
         )}
       </div>
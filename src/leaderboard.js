@@ -0,0 +1,78 @@
+// ============== LEADERBOARD ==============
+// Top runs, saved in the browser (see storage.js), and the last name a
+// player entered.
+
+import { loadVersioned, saveVersioned } from './storage.js';
+
+const STORAGE_KEY = 'jumpy-frog.leaderboard';
+const NAME_STORAGE_KEY = 'jumpy-frog.player-name';
+
+export const LEADERBOARD_VERSION = 1;
+export const LEADERBOARD_SIZE = 10;
+export const MAX_NAME_LENGTH = 12;
+
+const isValidEntry = (entry) => (
+  entry && typeof entry.name === 'string' &&
+  Number.isInteger(entry.score) &&
+  Number.isInteger(entry.altitude) &&
+  Number.isInteger(entry.gems) &&
+  Number.isInteger(entry.kills) &&
+  (entry.lives === undefined || (Number.isInteger(entry.lives) && entry.lives > 0)) &&
+  typeof entry.date === 'string'
+);
+
+export const normalizeName = (name) => name.trim().slice(0, MAX_NAME_LENGTH) || 'Frog';
+
+// Highest score first; ties go to the earlier run
+const compareEntries = (a, b) => b.score - a.score || a.date.localeCompare(b.date);
+
+export const loadLeaderboard = () => {
+  const data = loadVersioned(STORAGE_KEY, LEADERBOARD_VERSION);
+  if (!data || !Array.isArray(data.entries)) return [];
+  return data.entries.filter(isValidEntry).sort(compareEntries).slice(0, LEADERBOARD_SIZE);
+};
+
+export const saveLeaderboard = (entries) => saveVersioned(STORAGE_KEY, LEADERBOARD_VERSION, { entries });
+
+export const getHighScore = (entries) => (entries.length > 0 ? entries[0].score : 0);
+
+// Would a run with this score make the top LEADERBOARD_SIZE?
+export const qualifiesForLeaderboard = (entries, score) => (
+  score > 0 && (entries.length < LEADERBOARD_SIZE || score > entries[entries.length - 1].score)
+);
+
+// Entry for a finished run from the engine state
+export const createLeaderboardEntry = (name, g, date = new Date()) => ({
+  name: normalizeName(name),
+  score: g.score,
+  altitude: g.altitude,
+  gems: g.gemsCollected,
+  kills: g.enemiesKilled,
+  mode: g.mode,
+  lives: g.startLives, // 1 unless played in lives mode
+  date: date.toISOString()
+});
+
+// Returns the new (sorted, trimmed) list; does not save it
+export const addLeaderboardEntry = (entries, entry) => (
+  [...entries, entry].sort(compareEntries).slice(0, LEADERBOARD_SIZE)
+);
+
+// ============== PLAYER NAME ==============
+// A plain string, so it is stored as is
+
+export const loadPlayerName = () => {
+  try {
+    return localStorage.getItem(NAME_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+export const savePlayerName = (name) => {
+  try {
+    localStorage.setItem(NAME_STORAGE_KEY, name);
+  } catch {
+    // Not persisted; the name is asked for again next time
+  }
+};
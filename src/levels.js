@@ -0,0 +1,73 @@
+// ============== LEVEL PROGRESSION ==============
+// Altitude-based worlds. Every LEVEL_HEIGHT pixels of climbing starts a new
+// level with its own platform skin (l1-… l49- in platforms.pack), spawn
+// chances and difficulty. Every BONUS_LEVEL_INTERVAL-th level is a bonus
+// level using the lbonus- skin: no enemies, lots of gems.
+
+export const LEVEL_HEIGHT = 5000; // 500 m of score per level
+export const BONUS_LEVEL_INTERVAL = 5;
+export const LEVEL_BANNER_DURATION = 150; // 2.5 seconds at 60fps
+
+// Difficulty stops increasing after this many levels
+const MAX_DIFFICULTY_LEVEL = 20;
+
+// platforms.pack skips every tenth theme (no l10, l20, …)
+const PLATFORM_THEMES = Array.from({ length: 49 }, (_, i) => i + 1)
+  .filter(n => n % 10 !== 0)
+  .map(n => `l${n}`);
+
+const BONUS_THEME = 'lbonus';
+
+const lerp = (from, to, t) => from + (to - from) * t;
+
+export const isBonusLevel = (number) => number % BONUS_LEVEL_INTERVAL === 0;
+
+// Level number (1-based) for a world y coordinate; the climb starts at y = 0
+export const getLevelNumber = (y) => Math.floor(Math.max(0, -y) / LEVEL_HEIGHT) + 1;
+
+const configCache = new Map();
+
+// Platform skin, spawn table and difficulty parameters for a level
+export const getLevelConfig = (number) => {
+  if (configCache.has(number)) return configCache.get(number);
+
+  const bonus = isBonusLevel(number);
+  const d = Math.min(number - 1, MAX_DIFFICULTY_LEVEL) / MAX_DIFFICULTY_LEVEL;
+  const themeOrdinal = number - Math.floor(number / BONUS_LEVEL_INTERVAL) - 1;
+
+  const config = bonus ? {
+    number,
+    bonus,
+    theme: BONUS_THEME,
+    platformWeights: { normal: 60, moving: 0, updown: 10, breakable: 0, spring: 30 },
+    platformWidth: [80, 110],
+    gap: [80, 130],
+    movingSpeed: [1, 3],
+    updownAmplitude: [30, 50],
+    updownPeriod: [200, 260],
+    spawn: { gem: 0.9, enemy: 0, powerup: 0.12 },
+    gemWeights: { blue: 30, orange: 40, purple: 30 }
+  } : {
+    number,
+    bonus,
+    theme: PLATFORM_THEMES[themeOrdinal % PLATFORM_THEMES.length],
+    platformWeights: {
+      normal: lerp(60, 25, d),
+      moving: lerp(15, 25, d),
+      updown: lerp(5, 15, d),
+      breakable: lerp(10, 25, d),
+      spring: 10
+    },
+    platformWidth: [lerp(70, 55, d), lerp(100, 80, d)],
+    gap: [lerp(80, 100, d), lerp(140, 180, d)],
+    movingSpeed: [lerp(1, 2, d), lerp(3, 4.5, d)],
+    // Vertical platforms: amplitude in pixels, period in frames
+    updownAmplitude: [lerp(30, 50, d), lerp(50, 80, d)],
+    updownPeriod: [lerp(200, 140, d), lerp(260, 180, d)],
+    spawn: { gem: 0.45, enemy: lerp(0.08, 0.16, d), powerup: 0.08 },
+    gemWeights: { blue: lerp(60, 40, d), orange: 30, purple: lerp(10, 30, d) }
+  };
+
+  configCache.set(number, config);
+  return config;
+};
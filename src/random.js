@@ -0,0 +1,37 @@
+// ============== SEEDED RANDOM ==============
+// Small deterministic PRNG so a seed always produces the same level layout.
+// Daily challenge runs derive their seed from the calendar date.
+
+// mulberry32: fast 32-bit generator, returns floats in [0, 1) like Math.random
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a hash, used to turn strings (dates, typed seeds) into 32-bit seeds
+export const hashSeed = (text) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Local calendar date as YYYY-MM-DD
+export const getDateKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Everyone playing on the same day gets the same seed
+export const getDailySeed = (date = new Date()) => hashSeed(`jumpy-daily-${getDateKey(date)}`);
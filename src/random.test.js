@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { createRng, hashSeed, getDateKey, getDailySeed } from './random.js';
+import { createGameState, update } from './engine.js';
+
+// ============== HELPERS ==============
+
+const NO_INPUT = { left: false, right: false, shoot: false };
+
+const getLayout = (g) => g.platforms.map(({ x, y, width, type }) => ({ x, y, width, type }));
+
+// ============== SEEDED RANDOM ==============
+
+describe('seeded random', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const c = createRng(43);
+    const sequence = Array.from({ length: 5 }, () => a());
+
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    expect(Array.from({ length: 5 }, () => c())).not.toEqual(sequence);
+  });
+
+  it('stays within [0, 1) like Math.random', () => {
+    const rng = createRng(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  it('gives the same platform layout for the same seed', () => {
+    const a = createGameState(1234);
+    const b = createGameState(1234);
+
+    expect(getLayout(a)).toEqual(getLayout(b));
+    expect(getLayout(createGameState(4321))).not.toEqual(getLayout(a));
+  });
+
+  it('keeps layouts in step while the run climbs', () => {
+    const a = createGameState(99);
+    const b = createGameState(99);
+    for (let i = 0; i < 300; i++) {
+      update(a, NO_INPUT);
+      update(b, NO_INPUT);
+    }
+
+    expect(getLayout(a)).toEqual(getLayout(b));
+  });
+});
+
+// ============== DAILY SEED ==============
+
+describe('daily seed', () => {
+  it('is stable for a given date, whatever the time of day', () => {
+    const morning = new Date(2024, 4, 17, 8, 0);
+    const evening = new Date(2024, 4, 17, 23, 59);
+
+    expect(getDateKey(morning)).toBe('2024-05-17');
+    expect(getDailySeed(morning)).toBe(getDailySeed(evening));
+    expect(getDailySeed(morning)).toBe(hashSeed('jumpy-daily-2024-05-17'));
+  });
+
+  it('changes between dates', () => {
+    expect(getDailySeed(new Date(2024, 4, 17))).not.toBe(getDailySeed(new Date(2024, 4, 18)));
+  });
+});
@@ -0,0 +1,107 @@
+// ============== REPLAYS ==============
+// A run is fully determined by its seed, its options (lives, character) and
+// the per-frame input state, so a replay only stores those. Inputs are
+// packed into a bitmask per frame and run-length encoded as a flat
+// [mask, count, mask, count, …] array.
+
+import { DEFAULT_CHARACTER } from './characters.js';
+import { ANALOG_STEPS } from './engine.js';
+
+// Bump whenever the simulation changes, so old codes are rejected instead of desyncing
+export const REPLAY_VERSION = 5;
+
+const INPUT_LEFT = 1;
+const INPUT_RIGHT = 2;
+const INPUT_SHOOT = 4;
+// Analog movement sits above the button bits as its step count (see
+// ANALOG_STEPS) offset by ANALOG_STEPS + 1, so 0 still means none
+const MOVE_SHIFT = 3;
+
+const encodeMove = (move) => (
+  move === undefined ? 0 : (Math.round(move * ANALOG_STEPS) + ANALOG_STEPS + 1) << MOVE_SHIFT
+);
+
+export const encodeInput = (keys) => (
+  (keys.left ? INPUT_LEFT : 0) | (keys.right ? INPUT_RIGHT : 0) | (keys.shoot ? INPUT_SHOOT : 0) |
+  encodeMove(keys.move)
+);
+
+export const decodeInput = (mask) => {
+  const input = {
+    left: (mask & INPUT_LEFT) !== 0,
+    right: (mask & INPUT_RIGHT) !== 0,
+    shoot: (mask & INPUT_SHOOT) !== 0
+  };
+  const move = mask >> MOVE_SHIFT;
+  if (move > 0) input.move = (move - ANALOG_STEPS - 1) / ANALOG_STEPS;
+  return input;
+};
+
+// ============== RECORDING ==============
+
+// Options are the createGameState options of the run (lives, character)
+export const createRecording = (seed, mode, { lives = 1, character = DEFAULT_CHARACTER } = {}) => ({
+  version: REPLAY_VERSION, seed, mode, lives, character, score: 0, frames: []
+});
+
+export const recordFrame = (recording, keys) => {
+  const mask = encodeInput(keys);
+  const { frames } = recording;
+  if (frames.length > 0 && frames[frames.length - 2] === mask) {
+    frames[frames.length - 1]++;
+  } else {
+    frames.push(mask, 1);
+  }
+};
+
+export const getFrameCount = (replay) => {
+  let total = 0;
+  for (let i = 1; i < replay.frames.length; i += 2) total += replay.frames[i];
+  return total;
+};
+
+// ============== PLAYBACK ==============
+
+export const createPlayback = (replay) => ({ replay, run: 0, frame: 0 });
+
+// Input for the next frame, or null once the recording is exhausted
+export const nextPlaybackInput = (playback) => {
+  const { frames } = playback.replay;
+  if (playback.run >= frames.length) return null;
+
+  const input = decodeInput(frames[playback.run]);
+  playback.frame++;
+  if (playback.frame >= frames[playback.run + 1]) {
+    playback.run += 2;
+    playback.frame = 0;
+  }
+  return input;
+};
+
+// ============== IMPORT / EXPORT ==============
+
+// Replays are shared as base64-encoded JSON
+export const exportReplay = (recording) => btoa(JSON.stringify(recording));
+
+const isValidReplay = (data) => (
+  data && data.version === REPLAY_VERSION &&
+  Number.isInteger(data.seed) &&
+  typeof data.mode === 'string' &&
+  (data.lives === undefined || (Number.isInteger(data.lives) && data.lives > 0)) &&
+  (data.character === undefined || typeof data.character === 'string') &&
+  Array.isArray(data.frames) && data.frames.length % 2 === 0 &&
+  data.frames.every(n => Number.isInteger(n) && n >= 0)
+);
+
+// Accepts either the base64 string or the raw JSON
+export const importReplay = (text) => {
+  const trimmed = text.trim();
+  let data;
+  try {
+    data = JSON.parse(trimmed.startsWith('{') ? trimmed : atob(trimmed));
+  } catch {
+    throw new Error('Replay code is not valid');
+  }
+  if (!isValidReplay(data)) throw new Error('Replay code is not valid');
+  return data;
+};
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  REPLAY_VERSION, encodeInput, decodeInput, createRecording, recordFrame, getFrameCount,
+  createPlayback, nextPlaybackInput, exportReplay, importReplay
+} from './replay.js';
+import { ANALOG_STEPS, MODE_CLASSIC, createGameState, update } from './engine.js';
+
+// ============== HELPERS ==============
+
+const NO_INPUT = { left: false, right: false, shoot: false };
+const LEFT = { left: true, right: false, shoot: false };
+const RIGHT = { left: false, right: true, shoot: false };
+const SHOOT = { left: false, right: false, shoot: true };
+const STICK_RIGHT = { left: false, right: false, shoot: false, move: 0.6 };
+
+// Play back every recorded frame into a fresh run
+const replayRun = (replay) => {
+  const g = createGameState(replay.seed, replay.mode, { lives: replay.lives, character: replay.character });
+  const playback = createPlayback(replay);
+  let input;
+  while (!g.gameOver && (input = nextPlaybackInput(playback))) update(g, input);
+  return g;
+};
+
+// ============== INPUT ENCODING ==============
+
+describe('input encoding', () => {
+  it('round-trips the button bits', () => {
+    for (const keys of [NO_INPUT, LEFT, SHOOT, { left: false, right: true, shoot: true }]) {
+      expect(decodeInput(encodeInput(keys))).toEqual(keys);
+    }
+  });
+
+  it('packs analog movement above the buttons, offset so no movement stays 0', () => {
+    expect(encodeInput(NO_INPUT)).toBe(0);
+    for (const move of [-1, -0.55, 0, 0.05, 1]) {
+      const keys = { left: false, right: false, shoot: true, move };
+      expect(encodeInput(keys)).toBeGreaterThan(encodeInput(SHOOT));
+      expect(decodeInput(encodeInput(keys))).toEqual(keys);
+    }
+  });
+
+  it('rounds analog movement to whole steps', () => {
+    const decoded = decodeInput(encodeInput({ left: false, right: false, shoot: false, move: 0.333 }));
+
+    expect(decoded.move).toBe(Math.round(0.333 * ANALOG_STEPS) / ANALOG_STEPS);
+  });
+});
+
+// ============== RECORDING ==============
+
+describe('recording', () => {
+  it('run-length encodes repeated frames', () => {
+    const recording = createRecording(1, MODE_CLASSIC);
+    for (const keys of [NO_INPUT, NO_INPUT, NO_INPUT, LEFT, LEFT, NO_INPUT]) recordFrame(recording, keys);
+
+    expect(recording.frames).toEqual([encodeInput(NO_INPUT), 3, encodeInput(LEFT), 2, encodeInput(NO_INPUT), 1]);
+    expect(getFrameCount(recording)).toBe(6);
+  });
+
+  it('plays the frames back in order, then runs out', () => {
+    const recording = createRecording(1, MODE_CLASSIC);
+    const inputs = [LEFT, RIGHT, SHOOT, STICK_RIGHT, NO_INPUT];
+    for (const keys of inputs) recordFrame(recording, keys);
+
+    const playback = createPlayback(recording);
+    for (const keys of inputs) expect(nextPlaybackInput(playback)).toEqual(keys);
+    expect(nextPlaybackInput(playback)).toBeNull();
+  });
+
+  it('reproduces the recorded run', () => {
+    const options = { lives: 3 };
+    const g = createGameState(1, MODE_CLASSIC, options);
+    const recording = createRecording(1, MODE_CLASSIC, options);
+    for (let i = 0; i < 1200 && !g.gameOver; i++) {
+      const keys = i % 40 < 10 ? LEFT : i % 40 < 20 ? STICK_RIGHT : SHOOT;
+      recordFrame(recording, keys);
+      update(g, keys);
+    }
+
+    expect(g.score).toBeGreaterThan(0);
+
+    const replayed = replayRun(importReplay(exportReplay(recording)));
+    expect(replayed.score).toBe(g.score);
+    expect(replayed.lives).toBe(g.lives);
+    expect(replayed.frog.x).toBe(g.frog.x);
+    expect(replayed.frog.y).toBe(g.frog.y);
+  });
+});
+
+// ============== IMPORT / EXPORT ==============
+
+describe('import', () => {
+  const recording = createRecording(7, MODE_CLASSIC, { lives: 3, character: 'farmer' });
+  recordFrame(recording, LEFT);
+
+  it('accepts exported codes and raw JSON', () => {
+    expect(importReplay(exportReplay(recording))).toEqual(recording);
+    expect(importReplay(`  ${JSON.stringify(recording)}\n`)).toEqual(recording);
+  });
+
+  it('rejects codes from another replay version', () => {
+    const old = { ...recording, version: REPLAY_VERSION - 1 };
+
+    expect(() => importReplay(exportReplay(old))).toThrow('Replay code is not valid');
+  });
+
+  it('rejects malformed codes', () => {
+    for (const text of [
+      'not a replay',
+      btoa('{"version":'),
+      JSON.stringify({ ...recording, seed: 'abc' }),
+      JSON.stringify({ ...recording, lives: 0 }),
+      JSON.stringify({ ...recording, frames: [1, 2, 3] }),
+      JSON.stringify({ ...recording, frames: [1, -2] })
+    ]) {
+      expect(() => importReplay(text)).toThrow('Replay code is not valid');
+    }
+  });
+});
@@ -0,0 +1,60 @@
+// ============== SETTINGS ==============
+// Display preferences from the Settings screen. They only change how the
+// game is drawn, never the simulation, so replays play back the same
+// whatever the viewer's settings. Audio volumes (audio.js) and control
+// settings (controls.js) keep their own storage and are edited on the same
+// screen.
+
+import { GEM_COLORS } from './engine.js';
+import { loadVersioned, saveVersioned } from './storage.js';
+
+const STORAGE_KEY = 'jumpy-frog.settings';
+export const SETTINGS_VERSION = 1;
+
+export const HUD_SCALES = [0.75, 1, 1.25, 1.5];
+
+// Gem colours per palette, in GEM_COLORS' shape. The colourblind palettes
+// use Okabe-Ito and Paul Tol colours that stay apart under the named
+// deficiency, and stay saturated so they read against the sky.
+export const GEM_PALETTES = {
+  default: { label: 'Standard', colors: GEM_COLORS },
+  redGreen: {
+    label: 'Red-green safe',
+    colors: {
+      blue: { main: '#0072B2', glow: '#56B4E9' },
+      orange: { main: '#E69F00', glow: '#F0E442' },
+      purple: { main: '#CC79A7', glow: '#F5C4E0' }
+    }
+  },
+  blueYellow: {
+    label: 'Blue-yellow safe',
+    colors: {
+      blue: { main: '#009E73', glow: '#7FD8BE' },
+      orange: { main: '#D55E00', glow: '#FF9E6B' },
+      purple: { main: '#332288', glow: '#8877CC' }
+    }
+  }
+};
+
+// Reduced motion starts on when the system asks for it
+const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+
+const createSettings = () => ({ reducedMotion: prefersReducedMotion(), hudScale: 1, gemPalette: 'default', showFps: false });
+
+// ============== PERSISTENCE ==============
+
+export const loadSettings = () => {
+  const defaults = createSettings();
+  const data = loadVersioned(STORAGE_KEY, SETTINGS_VERSION);
+  if (!data) return defaults;
+  return {
+    reducedMotion: typeof data.reducedMotion === 'boolean' ? data.reducedMotion : defaults.reducedMotion,
+    hudScale: HUD_SCALES.includes(data.hudScale) ? data.hudScale : defaults.hudScale,
+    gemPalette: Object.keys(GEM_PALETTES).includes(data.gemPalette) ? data.gemPalette : defaults.gemPalette,
+    showFps: data.showFps === true
+  };
+};
+
+export const saveSettings = (settings) => saveVersioned(STORAGE_KEY, SETTINGS_VERSION, settings);
+
+export const getGemColors = (settings) => GEM_PALETTES[settings.gemPalette].colors;
@@ -0,0 +1,59 @@
+// ============== SHOP ==============
+// Gems collected in runs go into a persistent wallet that buys frog skins.
+// Wallet, owned skins and the equipped skin are saved together.
+
+import { loadVersioned, saveVersioned } from './storage.js';
+
+const STORAGE_KEY = 'jumpy-frog.shop';
+export const SHOP_VERSION = 1;
+
+// region: base atlas name of the skin's frames (see getFrogFrame)
+export const FROG_SKINS = [
+  { id: 'default', name: 'Jumpy', region: 'default-frog', price: 0 },
+  { id: 'farmer', name: 'Farmer', region: 'farmer-frog', price: 50 },
+  { id: 'mafia', name: 'Mafia', region: 'mafia-frog', price: 100 },
+  { id: 'general', name: 'General', region: 'general-frog', price: 150 },
+  { id: 'super', name: 'Super Frog', region: 'super-frog', price: 250 },
+  { id: 'high-jump', name: 'High Jumper', region: 'high-jump-frog', price: 350 },
+  { id: 'lazer', name: 'Lazer', region: 'lazer-frog', price: 500 },
+  { id: 'sumo', name: 'Sumo', region: 'sumo-frog', price: 750 }
+];
+
+const DEFAULT_SKIN = FROG_SKINS[0];
+
+export const getSkin = (id) => FROG_SKINS.find(skin => skin.id === id) || DEFAULT_SKIN;
+
+const createShop = () => ({ gems: 0, owned: [DEFAULT_SKIN.id], equipped: DEFAULT_SKIN.id });
+
+// ============== PERSISTENCE ==============
+
+export const loadShop = () => {
+  const data = loadVersioned(STORAGE_KEY, SHOP_VERSION);
+  if (!data) return createShop();
+  const owned = Array.isArray(data.owned) ? data.owned.filter(id => getSkin(id).id === id) : [];
+  if (!owned.includes(DEFAULT_SKIN.id)) owned.unshift(DEFAULT_SKIN.id);
+  return {
+    gems: Number.isInteger(data.gems) && data.gems > 0 ? data.gems : 0,
+    owned,
+    equipped: owned.includes(data.equipped) ? data.equipped : DEFAULT_SKIN.id
+  };
+};
+
+export const saveShop = (shop) => saveVersioned(STORAGE_KEY, SHOP_VERSION, shop);
+
+// ============== WALLET & SKINS ==============
+// All updates return a new shop object (it lives in React state)
+
+export const addGems = (shop, amount) => ({ ...shop, gems: shop.gems + amount });
+
+export const ownsSkin = (shop, skin) => shop.owned.includes(skin.id);
+
+export const canBuySkin = (shop, skin) => !ownsSkin(shop, skin) && shop.gems >= skin.price;
+
+// Buying also equips the skin; returns the shop unchanged if not affordable
+export const buySkin = (shop, skin) => {
+  if (!canBuySkin(shop, skin)) return shop;
+  return { gems: shop.gems - skin.price, owned: [...shop.owned, skin.id], equipped: skin.id };
+};
+
+export const equipSkin = (shop, skin) => (ownsSkin(shop, skin) ? { ...shop, equipped: skin.id } : shop);
@@ -0,0 +1,25 @@
+// ============== STORAGE ==============
+// Saved data lives in localStorage as JSON tagged with a version, so a
+// module's schema can change later: data from another version is discarded
+// rather than misread. Storage failures (private mode, quota, disabled
+// storage) are ignored and the data simply does not persist; the game keeps
+// working with what it has in memory.
+
+// The object saved under key, or fallback when there is none, it cannot be
+// read or it has another version
+export const loadVersioned = (key, version, fallback = null) => {
+  try {
+    const data = JSON.parse(localStorage.getItem(key));
+    return data && data.version === version ? data : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const saveVersioned = (key, version, data) => {
+  try {
+    localStorage.setItem(key, JSON.stringify({ version, ...data }));
+  } catch {
+    // Not persisted, see above
+  }
+};
@@ -0,0 +1,60 @@
+// ============== VIEWPORT ==============
+// Maps the logical CANVAS_WIDTH × CANVAS_HEIGHT world onto a canvas of any
+// size and pixel density. The world is scaled to fit the canvas and
+// centred; on other aspect ratios the margins show the sky extended past the
+// world's edges. The canvas backing store is sized in device pixels, so the
+// game stays sharp on high-DPI screens.
+//
+// Drawing goes through applyWorldTransform and pointer input through
+// toWorld, so the rest of the game only ever sees world units.
+
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from './engine.js';
+
+// width/height: canvas size in CSS pixels; dpr: device pixels per CSS pixel
+export const createViewport = (width, height, dpr = 1) => {
+  const scale = Math.min(width / CANVAS_WIDTH, height / CANVAS_HEIGHT);
+  return {
+    width,
+    height,
+    dpr,
+    scale, // CSS pixels per world unit
+    offsetX: (width - CANVAS_WIDTH * scale) / 2,
+    offsetY: (height - CANVAS_HEIGHT * scale) / 2
+  };
+};
+
+// Canvas backing store size in device pixels
+export const getBackingSize = (viewport) => ({
+  width: Math.round(viewport.width * viewport.dpr),
+  height: Math.round(viewport.height * viewport.dpr)
+});
+
+// Where the world sits on the page, in CSS pixels relative to the canvas
+export const getWorldRect = (viewport) => ({
+  left: viewport.offsetX,
+  top: viewport.offsetY,
+  width: CANVAS_WIDTH * viewport.scale,
+  height: CANVAS_HEIGHT * viewport.scale
+});
+
+// The whole canvas in world units; reaches past the world on the sides (or
+// top and bottom) when the aspect ratios differ
+export const getVisibleArea = (viewport) => ({
+  x: -viewport.offsetX / viewport.scale,
+  y: -viewport.offsetY / viewport.scale,
+  width: viewport.width / viewport.scale,
+  height: viewport.height / viewport.scale
+});
+
+// Draw in world units from here on
+export const applyWorldTransform = (ctx, viewport) => {
+  const scale = viewport.scale * viewport.dpr;
+  ctx.setTransform(scale, 0, 0, scale, viewport.offsetX * viewport.dpr, viewport.offsetY * viewport.dpr);
+};
+
+// A pointer position (clientX/clientY) in world units; rect is the canvas's
+// getBoundingClientRect()
+export const toWorld = (viewport, rect, clientX, clientY) => ({
+  x: (clientX - rect.left - viewport.offsetX) / viewport.scale,
+  y: (clientY - rect.top - viewport.offsetY) / viewport.scale
+});